@@ -0,0 +1,292 @@
+/**
+ * Angry Birds - 手势校准
+ *
+ * 引导玩家依次张开手、捏合、在舒适范围内移动捏合的手，测出个人的张开/捏合距离和可达范围，
+ * 由此得到捏合判定阈值和摄像头画面到画布的映射。校准结果按玩家档案保存，见 save.js
+ * 依赖 game.js 的 gameState / elements / handCtx
+ */
+
+// 未校准时的捏合和松开阈值(拇指与食指距离，归一化图像坐标)，松开阈值更大，中间保持原状态防止抖动
+const DEFAULT_PINCH_THRESHOLD = 0.10;
+const DEFAULT_RELEASE_THRESHOLD = 0.14;
+// 阈值取在捏合距离和张开距离之间的位置：低于 pinch 开始捏合，高于 release 才算松开，中间保持原状态防止抖动
+const CALIBRATION_PINCH_RATIO = 0.35;
+const CALIBRATION_RELEASE_RATIO = 0.5;
+// 张开距离至少要比捏合距离大这么多，否则两次测量分不开
+const CALIBRATION_MIN_SPREAD = 0.03;
+// 可达范围的最小宽高(归一化)和向外留的余量
+const CALIBRATION_MIN_REACH = 0.15;
+const CALIBRATION_REACH_MARGIN = 0.03;
+
+// 校准步骤：每步需要的检测到手的帧数
+const CALIBRATION_STEPS = [
+    { id: 'open', samples: 45, text: '张开手，拇指和食指尽量分开，保持不动' },
+    { id: 'pinch', samples: 45, text: '捏合拇指和食指，保持不动' },
+    { id: 'reach', samples: 150, text: '保持捏合，把手移到舒适范围的上下左右边缘' }
+];
+
+/**
+ * 拇指尖与食指尖的距离(归一化图像坐标)
+ * @param {Array} hand - 手部关键点数组
+ */
+function getPinchDistance(hand) {
+    const thumb = hand[4], index = hand[8];
+    return Math.sqrt(Math.pow(thumb.x - index.x, 2) + Math.pow(thumb.y - index.y, 2));
+}
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * 张开和捏合两步采完后检查两者是否分得开，分不开时不必再做后面的步骤
+ * @throws {Error} 张开和捏合的距离太接近
+ */
+function checkPinchSpread(samples) {
+    if (median(samples.open) - median(samples.pinch) < CALIBRATION_MIN_SPREAD) {
+        throw new Error('张开和捏合的距离太接近，请把手指张得更开或捏得更紧');
+    }
+}
+
+/**
+ * 由采样结果计算校准参数
+ * @param {Object} samples - { open: [距离], pinch: [距离], reach: [{x, y}] }，坐标已镜像、归一化到 0~1
+ * @returns {Object} 校准参数 { openDistance, pinchDistance, pinchThreshold, releaseThreshold, reach: {left, top, right, bottom} }
+ * @throws {Error} 张开和捏合分不开，或移动范围太小
+ */
+function computeCalibration(samples) {
+    checkPinchSpread(samples);
+    const openDistance = median(samples.open);
+    const pinchDistance = median(samples.pinch);
+    const xs = samples.reach.map(p => p.x);
+    const ys = samples.reach.map(p => p.y);
+    const reach = {
+        left: Math.max(0, Math.min(...xs) - CALIBRATION_REACH_MARGIN),
+        top: Math.max(0, Math.min(...ys) - CALIBRATION_REACH_MARGIN),
+        right: Math.min(1, Math.max(...xs) + CALIBRATION_REACH_MARGIN),
+        bottom: Math.min(1, Math.max(...ys) + CALIBRATION_REACH_MARGIN)
+    };
+    if (reach.right - reach.left < CALIBRATION_MIN_REACH || reach.bottom - reach.top < CALIBRATION_MIN_REACH) {
+        throw new Error('移动范围太小，请把手移得更开一些');
+    }
+    const round = value => Math.round(value * 1000) / 1000;
+    Object.keys(reach).forEach(key => { reach[key] = round(reach[key]); });
+    const spread = openDistance - pinchDistance;
+    return {
+        openDistance: round(openDistance),
+        pinchDistance: round(pinchDistance),
+        pinchThreshold: round(pinchDistance + spread * CALIBRATION_PINCH_RATIO),
+        releaseThreshold: round(pinchDistance + spread * CALIBRATION_RELEASE_RATIO),
+        reach
+    };
+}
+
+/**
+ * 校验档案中保存的校准参数
+ * @param {Object} calibration - 校准参数
+ * @param {string} path - 错误信息前缀
+ * @returns {Array<string>} 错误信息列表，为空表示合法
+ */
+function validateCalibration(calibration, path) {
+    const errors = [];
+    if (!calibration || typeof calibration !== 'object') return [`${path} 必须是对象或 null`];
+    ['openDistance', 'pinchDistance', 'pinchThreshold', 'releaseThreshold'].forEach(key => {
+        const value = calibration[key];
+        if (typeof value !== 'number' || !(value > 0 && value < 2)) errors.push(`${path}.${key} 不合法: ${value}`);
+    });
+    if (calibration.releaseThreshold < calibration.pinchThreshold) errors.push(`${path}.releaseThreshold 不能小于 pinchThreshold`);
+    const reach = calibration.reach;
+    if (!reach || typeof reach !== 'object') {
+        errors.push(`${path}.reach 必须是 {left, top, right, bottom}`);
+        return errors;
+    }
+    ['left', 'top', 'right', 'bottom'].forEach(key => {
+        const value = reach[key];
+        if (typeof value !== 'number' || value < 0 || value > 1) errors.push(`${path}.reach.${key} 必须在 0~1 之间`);
+    });
+    if (!(reach.right > reach.left && reach.bottom > reach.top)) errors.push(`${path}.reach 右下角必须在左上角的右下方`);
+    return errors;
+}
+
+/**
+ * 当前使用的捏合阈值：没有校准时用默认的捏合和松开阈值
+ * @returns {Object} { pinch, release }
+ */
+function getPinchThresholds(calibration) {
+    if (!calibration) return { pinch: DEFAULT_PINCH_THRESHOLD, release: DEFAULT_RELEASE_THRESHOLD };
+    return { pinch: calibration.pinchThreshold, release: calibration.releaseThreshold };
+}
+
+/**
+ * 把镜像后的归一化手部坐标映射到画布：可达范围铺满整个画布，范围外的位置贴在画布边缘
+ * @param {number} x - 0~1，已镜像(画面左侧为 0)
+ * @param {number} y - 0~1
+ * @param {Object|null} calibration - 校准参数，为空时整幅画面对应整个画布
+ * @returns {Object} 画布坐标 { x, y }
+ */
+function mapHandToCanvas(x, y, calibration, width, height) {
+    const reach = calibration ? calibration.reach : { left: 0, top: 0, right: 1, bottom: 1 };
+    const clamp = value => Math.max(0, Math.min(1, value));
+    return {
+        x: clamp((x - reach.left) / (reach.right - reach.left)) * width,
+        y: clamp((y - reach.top) / (reach.bottom - reach.top)) * height
+    };
+}
+
+// ============== 校准向导 ==============
+
+const calibrationState = {
+    isOpen: false,
+    // 当前步骤在 CALIBRATION_STEPS 中的序号，等于步骤数时表示采样完成
+    step: 0,
+    samples: { open: [], pinch: [], reach: [] },
+    // 采样完成后算出的校准参数，保存前不生效
+    result: null
+};
+
+let calibrationElements = null;
+
+/**
+ * 初始化校准向导：绑定打开、重新开始、保存、恢复默认和关闭按钮
+ */
+function initCalibration() {
+    calibrationElements = {
+        overlay: document.getElementById('calibration'),
+        openBtn: document.getElementById('calibration-btn'),
+        stepText: document.getElementById('calibration-step'),
+        progressFill: document.getElementById('calibration-progress-fill'),
+        result: document.getElementById('calibration-result'),
+        restartBtn: document.getElementById('calibration-restart'),
+        saveBtn: document.getElementById('calibration-save'),
+        resetBtn: document.getElementById('calibration-reset'),
+        closeBtn: document.getElementById('calibration-close')
+    };
+    
+    calibrationElements.openBtn.addEventListener('click', showCalibration);
+    calibrationElements.restartBtn.addEventListener('click', startCalibrationSteps);
+    calibrationElements.saveBtn.addEventListener('click', () => {
+        setProfileCalibration(calibrationState.result);
+        hideCalibration();
+    });
+    calibrationElements.resetBtn.addEventListener('click', () => {
+        setProfileCalibration(null);
+        hideCalibration();
+    });
+    calibrationElements.closeBtn.addEventListener('click', hideCalibration);
+}
+
+/**
+ * 打开校准向导(从选关界面打开，游戏此时已暂停)，放大摄像头预览
+ */
+function showCalibration() {
+    calibrationState.isOpen = true;
+    calibrationElements.overlay.classList.remove('hidden');
+    document.body.classList.add('calibrating');
+    startCalibrationSteps();
+}
+
+function hideCalibration() {
+    calibrationState.isOpen = false;
+    calibrationElements.overlay.classList.add('hidden');
+    document.body.classList.remove('calibrating');
+}
+
+function startCalibrationSteps() {
+    calibrationState.step = 0;
+    calibrationState.samples = { open: [], pinch: [], reach: [] };
+    calibrationState.result = null;
+    calibrationElements.saveBtn.disabled = true;
+    calibrationElements.result.textContent = gameState.isCameraActive ? '' : '摄像头未开启，无法校准';
+    renderCalibrationStep();
+}
+
+function renderCalibrationStep() {
+    const step = CALIBRATION_STEPS[calibrationState.step];
+    if (!step) {
+        calibrationElements.progressFill.style.width = '100%';
+        return;
+    }
+    const collected = calibrationState.samples[step.id].length;
+    calibrationElements.stepText.textContent = `${calibrationState.step + 1}/${CALIBRATION_STEPS.length} ${step.text}`;
+    calibrationElements.progressFill.style.width = `${Math.round(collected / step.samples * 100)}%`;
+}
+
+/**
+ * 校准期间代替手势输入提供者(HandInputProvider)处理主控手：按当前步骤采样，采满后进入下一步，
+ * 全部完成后计算校准参数等待保存
+ * @param {Array} hand - 手部关键点数组
+ */
+function recordCalibrationSample(hand) {
+    const step = CALIBRATION_STEPS[calibrationState.step];
+    if (!step) return;
+    const thumb = hand[4], index = hand[8];
+    const distance = getPinchDistance(hand);
+    
+    if (step.id === 'reach') {
+        // 只记录捏合状态下的位置(比张开和捏合距离的中点更近)，和实际拉弓时一致
+        const midpoint = (median(calibrationState.samples.open) + median(calibrationState.samples.pinch)) / 2;
+        if (distance < midpoint) {
+            calibrationState.samples.reach.push({ x: 1 - (thumb.x + index.x) / 2, y: (thumb.y + index.y) / 2 });
+        }
+        drawReachPreview(calibrationState.samples.reach);
+    } else {
+        calibrationState.samples[step.id].push(distance);
+    }
+    
+    if (calibrationState.samples[step.id].length >= step.samples) {
+        calibrationState.step++;
+        try {
+            if (step.id === 'pinch') checkPinchSpread(calibrationState.samples);
+            if (calibrationState.step === CALIBRATION_STEPS.length) finishCalibration();
+        } catch (error) {
+            failCalibration(error);
+        }
+    }
+    renderCalibrationStep();
+}
+
+function failCalibration(error) {
+    calibrationState.step = CALIBRATION_STEPS.length;
+    calibrationElements.stepText.textContent = '校准失败，请重新开始';
+    calibrationElements.result.textContent = error.message;
+}
+
+function finishCalibration() {
+    const result = computeCalibration(calibrationState.samples);
+    calibrationState.result = result;
+    calibrationElements.stepText.textContent = '校准完成，保存后生效';
+    calibrationElements.result.textContent =
+        `张开 ${result.openDistance} · 捏合 ${result.pinchDistance} → 阈值 ${result.pinchThreshold}/${result.releaseThreshold}，` +
+        `范围 ${Math.round((result.reach.right - result.reach.left) * 100)}% × ${Math.round((result.reach.bottom - result.reach.top) * 100)}%`;
+    calibrationElements.saveBtn.disabled = false;
+}
+
+/**
+ * 在摄像头预览上画出已采到的可达范围
+ */
+function drawReachPreview(points) {
+    if (points.length === 0) return;
+    const width = elements.handOverlay.width;
+    const height = elements.handOverlay.height;
+    const xs = points.map(p => p.x), ys = points.map(p => p.y);
+    const left = Math.min(...xs), top = Math.min(...ys);
+    handCtx.strokeStyle = '#f7c948';
+    handCtx.lineWidth = 2;
+    handCtx.setLineDash([6, 4]);
+    handCtx.strokeRect(left * width, top * height, (Math.max(...xs) - left) * width, (Math.max(...ys) - top) * height);
+    handCtx.setLineDash([]);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_PINCH_THRESHOLD,
+        DEFAULT_RELEASE_THRESHOLD,
+        getPinchDistance,
+        computeCalibration,
+        validateCalibration,
+        getPinchThresholds,
+        mapHandToCanvas
+    };
+}
@@ -0,0 +1,417 @@
+/**
+ * Angry Birds - 关卡编辑器
+ *
+ * 在游戏画布上拖放柱子、横梁、木块和猪，实时预览自动堆叠结果，
+ * 一键试玩，导入导出关卡 JSON(格式见 README「关卡文件格式」)
+ * 依赖 simulation.js 的 PhysicsWorld / validateLevel 和 game.js 的绘制函数
+ */
+
+// 拖入新物体时的默认尺寸，与 PhysicsWorld.getObjectSize 的缺省值一致
+const EDITOR_PIECE_DEFAULTS = {
+    pillar: { height: 80 },
+    beam: { width: 100 },
+    block: { width: 40, height: 40 },
+    pig: { radius: 20 }
+};
+
+// 各类型物体在属性面板中可编辑的尺寸字段
+const EDITOR_SIZE_FIELDS = {
+    pillar: ['height'],
+    beam: ['width'],
+    block: ['width', 'height'],
+    pig: ['radius']
+};
+
+// 编辑器状态
+const editorState = {
+    isOpen: false,
+    // 正在编辑的关卡，格式与 JSON 关卡文件相同
+    level: null,
+    selectedIndex: -1,
+    // 拖动中的物体：{ index } 为已放置物体，{ piece } 为从调色板拖出的新物体
+    dragging: null,
+    // 拖动时指针与物体中心的水平偏移(像素)
+    dragOffset: 0,
+    // 从调色板拖出、尚未放下的新物体
+    ghost: null
+};
+
+let editorElements = null;
+
+/**
+ * 初始化编辑器：绑定调色板、属性面板和画布上的指针事件
+ */
+function initEditor() {
+    editorElements = {
+        panel: document.getElementById('editor-panel'),
+        toggleBtn: document.getElementById('editor-btn'),
+        palette: document.getElementById('editor-palette'),
+        material: document.getElementById('editor-material'),
+        name: document.getElementById('editor-name'),
+        birds: document.getElementById('editor-birds'),
+        selection: document.getElementById('editor-selection'),
+        selectionType: document.getElementById('editor-selection-type'),
+        selectionMaterial: document.getElementById('editor-selection-material'),
+        deleteBtn: document.getElementById('editor-delete'),
+        playBtn: document.getElementById('editor-play'),
+        checkBtn: document.getElementById('editor-check'),
+        exportBtn: document.getElementById('editor-export'),
+        importBtn: document.getElementById('editor-import'),
+        closeBtn: document.getElementById('editor-close'),
+        fileInput: document.getElementById('editor-file-input'),
+        tips: document.getElementById('game-tips')
+    };
+    
+    editorElements.toggleBtn.addEventListener('click', () => {
+        if (editorState.isOpen) closeEditor();
+        else openEditor();
+    });
+    editorElements.closeBtn.addEventListener('click', closeEditor);
+    editorElements.playBtn.addEventListener('click', playTestEditorLevel);
+    editorElements.checkBtn.addEventListener('click', sanityCheckEditorLevel);
+    editorElements.exportBtn.addEventListener('click', exportEditorLevel);
+    editorElements.importBtn.addEventListener('click', () => editorElements.fileInput.click());
+    editorElements.fileInput.addEventListener('change', () => {
+        const file = editorElements.fileInput.files[0];
+        if (file) importEditorLevel(file);
+        editorElements.fileInput.value = '';
+    });
+    editorElements.deleteBtn.addEventListener('click', deleteSelectedPiece);
+    
+    // 调色板：按下后拖到画布上松开即放置
+    editorElements.palette.querySelectorAll('[data-type]').forEach(button => {
+        button.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            const type = button.dataset.type;
+            const piece = { x: 0.5, type, ...EDITOR_PIECE_DEFAULTS[type] };
+            if (type !== 'pig') piece.material = editorElements.material.value;
+            editorState.dragging = { piece };
+            editorState.dragOffset = 0;
+            editorState.ghost = null;
+        });
+    });
+    
+    editorElements.name.addEventListener('input', () => {
+        editorState.level.name = editorElements.name.value || undefined;
+    });
+    editorElements.birds.addEventListener('change', () => {
+        const birds = editorElements.birds.value.split(/[\s,，]+/).filter(Boolean);
+        editorState.level.birds = birds.length > 0 ? birds : undefined;
+    });
+    
+    // 属性面板中的数值和文本字段：不合法的值不写回物体，输入框标红，离开输入框时恢复成物体当前的值
+    editorElements.selection.querySelectorAll('[data-field]').forEach(input => {
+        input.addEventListener('input', () => {
+            input.classList.toggle('invalid', !updateSelectedField(input.dataset.field, input.value));
+        });
+        input.addEventListener('blur', () => {
+            input.classList.remove('invalid');
+            const obj = editorState.level && editorState.level.objects[editorState.selectedIndex];
+            if (obj) input.value = obj[input.dataset.field] === undefined ? '' : obj[input.dataset.field];
+        });
+    });
+    editorElements.selectionMaterial.addEventListener('change', () => {
+        updateSelectedField('material', editorElements.selectionMaterial.value);
+    });
+    
+    const canvas = elements.canvas;
+    canvas.addEventListener('pointerdown', handleEditorPointerDown);
+    window.addEventListener('pointermove', handleEditorPointerMove);
+    window.addEventListener('pointerup', handleEditorPointerUp);
+    document.addEventListener('keydown', (e) => {
+        if (!editorState.isOpen || editorState.selectedIndex === -1) return;
+        if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+        if (e.code === 'Delete' || e.code === 'Backspace') {
+            e.preventDefault();
+            deleteSelectedPiece();
+        }
+    });
+}
+
+/**
+ * 打开编辑器，以当前关卡为起点
+ */
+function openEditor() {
+    if (!editorState.level) editorState.level = JSON.parse(JSON.stringify(getLevelData(gameState.level)));
+    editorState.isOpen = true;
+    editorState.selectedIndex = -1;
+    gameState.isEditing = true;
+    gameState.isPlaying = false;
+    gameState.canLaunch = false;
+    gameState.isPulling = false;
+    gameState.trajectory = [];
+    elements.gameModal.classList.add('hidden');
+    editorElements.panel.classList.remove('hidden');
+    editorElements.tips.classList.add('hidden');
+    
+    // 换上编辑中关卡自带的材质(可能不是正在玩的关卡)，关闭编辑器重新加载关卡时换回；
+    // 材质列表每次打开时刷新，包含这些自定义材质
+    setLevelMaterials(editorState.level.materials);
+    const materials = Object.keys(BODY_MATERIALS).filter(name => name !== 'pig' && name !== 'ground')
+        .concat(Object.keys(editorState.level.materials || {}));
+    [editorElements.material, editorElements.selectionMaterial].forEach(select => {
+        const current = select.value;
+        select.innerHTML = '';
+        materials.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        if (materials.includes(current)) select.value = current;
+    });
+    
+    refreshEditorPanel();
+    elements.gestureText.textContent = '编辑模式：拖动物体调整位置';
+}
+
+/**
+ * 关闭编辑器，回到正常游戏(编辑中的关卡保留，下次打开继续)
+ */
+function closeEditor() {
+    editorState.isOpen = false;
+    editorState.dragging = null;
+    editorState.ghost = null;
+    gameState.isEditing = false;
+    editorElements.panel.classList.add('hidden');
+    editorElements.tips.classList.remove('hidden');
+    restartGame();
+}
+
+/**
+ * 按当前画布尺寸计算编辑中关卡的堆叠结果
+ * @param {Object|null} ghost - 拖动中尚未放下的新物体，排在最后参与堆叠
+ * @returns {Array} 与 objects 一一对应的放置结果(ghost 在最后)
+ */
+function layoutEditorLevel(ghost) {
+    const physicsWorld = new PhysicsWorld(elements.canvas.width, elements.canvas.height);
+    const objects = ghost ? editorState.level.objects.concat([ghost]) : editorState.level.objects;
+    return objects.map(obj => physicsWorld.placeObject(obj));
+}
+
+/**
+ * 查找指针位置下的物体，后放置的物体在上层优先
+ * @returns {number} 物体下标，没有时为-1
+ */
+function hitTestEditorPiece(x, y) {
+    const placed = layoutEditorLevel(null);
+    for (let i = placed.length - 1; i >= 0; i--) {
+        const p = placed[i];
+        if (p.type === 'pig') {
+            if (Math.hypot(x - p.x, y - p.y) <= p.radius) return i;
+        } else if (Math.abs(x - p.x) <= p.width / 2 && Math.abs(y - p.y) <= p.height / 2) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+function getEditorPointer(e) {
+    const rect = elements.canvas.getBoundingClientRect();
+    return {
+        x: e.clientX - rect.left,
+        y: e.clientY - rect.top,
+        inside: e.clientX >= rect.left && e.clientX <= rect.right && e.clientY >= rect.top && e.clientY <= rect.bottom
+    };
+}
+
+function clampRatio(ratio) {
+    return Math.round(Math.max(0, Math.min(1, ratio)) * 1000) / 1000;
+}
+
+function handleEditorPointerDown(e) {
+    if (!editorState.isOpen) return;
+    e.preventDefault();
+    const pointer = getEditorPointer(e);
+    const index = hitTestEditorPiece(pointer.x, pointer.y);
+    selectEditorPiece(index);
+    if (index !== -1) {
+        const obj = editorState.level.objects[index];
+        editorState.dragging = { index };
+        editorState.dragOffset = pointer.x - obj.x * elements.canvas.width;
+    }
+}
+
+function handleEditorPointerMove(e) {
+    if (!editorState.isOpen || !editorState.dragging) return;
+    const pointer = getEditorPointer(e);
+    const x = clampRatio((pointer.x - editorState.dragOffset) / elements.canvas.width);
+    
+    if (editorState.dragging.piece) {
+        // 新物体只在指针进入画布后显示预览
+        editorState.dragging.piece.x = x;
+        editorState.ghost = pointer.inside ? editorState.dragging.piece : null;
+    } else {
+        editorState.level.objects[editorState.dragging.index].x = x;
+        refreshSelectionFields();
+    }
+}
+
+function handleEditorPointerUp(e) {
+    if (!editorState.isOpen || !editorState.dragging) return;
+    const { piece } = editorState.dragging;
+    if (piece && getEditorPointer(e).inside) {
+        editorState.level.objects.push(piece);
+        selectEditorPiece(editorState.level.objects.length - 1);
+    }
+    editorState.dragging = null;
+    editorState.ghost = null;
+}
+
+function selectEditorPiece(index) {
+    editorState.selectedIndex = index;
+    refreshSelectionFields();
+}
+
+function deleteSelectedPiece() {
+    if (editorState.selectedIndex === -1) return;
+    editorState.level.objects.splice(editorState.selectedIndex, 1);
+    selectEditorPiece(-1);
+}
+
+/**
+ * 把属性面板的修改写回选中的物体；尺寸超出 validateLevel 的范围(含 0、负数和非数字)时不写回
+ * @param {string} field - 字段名
+ * @param {string} value - 输入框中的值
+ * @returns {boolean} 值是否合法
+ */
+function updateSelectedField(field, value) {
+    const obj = editorState.level.objects[editorState.selectedIndex];
+    if (!obj) return true;
+    if (field === 'material' || field === 'id') {
+        if (value) obj[field] = value;
+        else delete obj[field];
+        return true;
+    }
+    const number = parseFloat(value);
+    if (!isFinite(number)) return false;
+    const range = OBJECT_SIZE_RANGES[field];
+    if (range && (number < range.min || number > range.max)) return false;
+    obj[field] = field === 'x' ? clampRatio(number) : number;
+    return true;
+}
+
+/**
+ * 用编辑中的关卡刷新关卡名、小鸟和属性面板
+ */
+function refreshEditorPanel() {
+    const level = editorState.level;
+    editorElements.name.value = level.name || '';
+    editorElements.birds.value = Array.isArray(level.birds) ? level.birds.join(', ') : normalizeBirdLineup(level.birds).join(', ');
+    refreshSelectionFields();
+}
+
+function refreshSelectionFields() {
+    const obj = editorState.level && editorState.level.objects[editorState.selectedIndex];
+    editorElements.selection.classList.toggle('hidden', !obj);
+    if (!obj) return;
+    
+    editorElements.selectionType.textContent = obj.type;
+    const sizeFields = EDITOR_SIZE_FIELDS[obj.type] || [];
+    editorElements.selection.querySelectorAll('[data-field]').forEach(input => {
+        const field = input.dataset.field;
+        const visible = field === 'x' || field === 'id' || sizeFields.includes(field);
+        input.parentElement.classList.toggle('hidden', !visible);
+        // 正在输入的字段不回写，避免光标跳动
+        if (visible && document.activeElement !== input) input.value = obj[field] === undefined ? '' : obj[field];
+    });
+    editorElements.selectionMaterial.parentElement.classList.toggle('hidden', obj.type === 'pig');
+    if (obj.type !== 'pig') editorElements.selectionMaterial.value = obj.material || 'wood';
+}
+
+/**
+ * 校验编辑中的关卡，有问题时弹出错误列表
+ * @returns {boolean} 是否合法
+ */
+function checkEditorLevel() {
+    const errors = validateLevel(editorState.level);
+    if (errors.length > 0) {
+        showLevelError('关卡编辑器', errors.join('\n'));
+        return false;
+    }
+    return true;
+}
+
+/**
+ * 体检：在多个画布尺寸下检查摆放效果，列出悬空、重叠、出界、打不到的猪和自行倒塌
+ */
+function sanityCheckEditorLevel() {
+    const issues = checkLevelSanity(editorState.level);
+    if (issues.length > 0) {
+        showLevelError('关卡体检', issues.join('\n'));
+    } else {
+        elements.gestureText.textContent = '体检通过：各尺寸画布上都没有发现问题';
+    }
+}
+
+/**
+ * 试玩：把编辑中的关卡作为导入关卡开始游戏
+ */
+function playTestEditorLevel() {
+    if (!checkEditorLevel()) return;
+    gameState.customLevel = JSON.parse(JSON.stringify(editorState.level));
+    closeEditor();
+    elements.gestureText.textContent = '试玩中，点击 EDITOR 返回编辑';
+}
+
+/**
+ * 导出关卡 JSON 文件
+ */
+function exportEditorLevel() {
+    if (!checkEditorLevel()) return;
+    const json = JSON.stringify(editorState.level, null, 4);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = (editorState.level.name || 'level') + '.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * 导入关卡 JSON 到编辑器继续编辑
+ * @param {File} file - JSON 文件
+ */
+function importEditorLevel(file) {
+    file.text().then(text => {
+        let level;
+        try {
+            level = parseLevelJSON(text);
+        } catch (error) {
+            showLevelError(file.name, error.message);
+            return;
+        }
+        editorState.level = level;
+        editorState.selectedIndex = -1;
+        // 重新打开以刷新材质列表
+        openEditor();
+    }).catch(error => showLevelError(file.name, `读取文件失败: ${error.message}`));
+}
+
+/**
+ * 绘制编辑中的关卡：按堆叠规则摆放所有物体，高亮选中物体，半透明显示拖动中的新物体
+ */
+function drawEditor() {
+    const placed = layoutEditorLevel(editorState.ghost);
+    placed.forEach((p, i) => {
+        const isGhost = editorState.ghost && i === placed.length - 1;
+        ctx.save();
+        if (isGhost) ctx.globalAlpha = 0.5;
+        if (p.type === 'pig') {
+            drawPig(p);
+        } else {
+            const health = getMaterial(p.material).health;
+            drawBlock({ ...p, type: p.material, angle: 0, health, maxHealth: health });
+        }
+        ctx.restore();
+        
+        if (i === editorState.selectedIndex || isGhost) {
+            const halfW = p.type === 'pig' ? p.radius : p.width / 2;
+            const halfH = p.type === 'pig' ? p.radius : p.height / 2;
+            ctx.strokeStyle = isGhost ? '#00d4ff' : '#f7c948';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]);
+            ctx.strokeRect(p.x - halfW - 4, p.y - halfH - 4, halfW * 2 + 8, halfH * 2 + 8);
+            ctx.setLineDash([]);
+        }
+    });
+}
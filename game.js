@@ -6,33 +6,18 @@
  * 技术栈: MediaPipe Hands + Canvas 2D + Web Audio API
  */
 
-// ============== 物理常量 ==============
-// 重力加速度，影响小鸟和物体下落速度
-const GRAVITY = 0.5;
-// 摩擦系数，每帧速度衰减比例(0.99表示保留99%速度)
-const FRICTION = 0.99;
-
-// ============== 布局常量 ==============
-// 地面Y坐标占画布高度的比例
-const GROUND_Y_RATIO = 0.85;
-// 弹弓X坐标占画布宽度的比例(0.75表示在右侧3/4处)
-const SLINGSHOT_X_RATIO = 0.75; 
-// 弹弓Y坐标占画布高度的比例
-const SLINGSHOT_Y_RATIO = 0.65;
-
-// ============== 发射参数 ==============
-// 最大拉动距离(像素)，超过此距离不再增加力量
-const MAX_PULL_DISTANCE = 150;
-// 发射力量乘数，将拉动距离转换为初始速度
-const LAUNCH_POWER_MULTIPLIER = 0.38;
-// 最大发射速度，防止速度过快导致穿透
-const MAX_LAUNCH_SPEED = 55;
+// 物理常量、材质和模拟逻辑见 simulation.js，关卡数据见 levels.js，输入见 input.js，这里只负责画面、声音和游戏流程
+
+// ============== 时间步长 ==============
+// 单帧最多补算的时间(毫秒)，标签页切回或卡顿后不会一次补算过多步
+const MAX_FRAME_TIME = 250;
 
 // 图片资源
 const images = {
     cloud: null,
     pig: null,
-    bird: null,
+    // 小鸟素材图，按 BIRD_TYPES 中的 sprite 路径索引
+    birds: {},
     loaded: false
 };
 
@@ -40,7 +25,8 @@ const images = {
 function loadImages() {
     return new Promise((resolve) => {
         let loadedCount = 0;
-        const totalImages = 3;
+        const birdSprites = [...new Set(Object.values(BIRD_TYPES).map(type => type.sprite).filter(Boolean))];
+        const totalImages = 2 + birdSprites.length;
         
         const onLoad = () => {
             loadedCount++;
@@ -60,10 +46,13 @@ function loadImages() {
         images.pig.onerror = onLoad;
         images.pig.src = 'assets/pig.png';
         
-        images.bird = new Image();
-        images.bird.onload = onLoad;
-        images.bird.onerror = onLoad;
-        images.bird.src = 'assets/red_bird_left.png';
+        birdSprites.forEach(src => {
+            const image = new Image();
+            image.onload = onLoad;
+            image.onerror = onLoad;
+            image.src = src;
+            images.birds[src] = image;
+        });
     });
 }
 
@@ -72,6 +61,7 @@ const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
 
 class AudioController {
     static playTone(freq, type, duration, vol = 0.1) {
+        if (!gameState.settings.sound) return;
         if (audioCtx.state === 'suspended') audioCtx.resume();
         const osc = audioCtx.createOscillator();
         const gain = audioCtx.createGain();
@@ -87,7 +77,12 @@ class AudioController {
 
     static playPull() { this.playTone(150, 'triangle', 0.1, 0.05); }
 
+    static playAbility() { this.playTone(660, 'square', 0.15, 0.08); }
+
+    static playExplosion() { this.playTone(60, 'sawtooth', 0.5, 0.25); }
+
     static playLaunch() {
+        if (!gameState.settings.sound) return;
         if (audioCtx.state === 'suspended') audioCtx.resume();
         const osc = audioCtx.createOscillator();
         const gain = audioCtx.createGain();
@@ -109,19 +104,42 @@ const gameState = {
     cameraStream: null,
     hands: null,
     isPlaying: false,
+    // 张开手掌暂停：物理模拟停止推进，不能瞄准和释放技能
+    isPaused: false,
     isPulling: false,
+    // 正在拉弓的输入提供者 id(见 input.js)，同一时间只有它能移动和松手
+    pullSource: null,
     canLaunch: true,
     needsHandReset: false,
-    score: 0,
+    // 当前关卡包和包内关卡编号(从 1 开始)
+    pack: BUILT_IN_PACKS[0],
     level: 1,
-    birdsLeft: 5,
-    currentBird: null,
+    // 选关界面列出的关卡包：内置关卡包加上导入的关卡包
+    packs: BUILT_IN_PACKS.slice(),
+    // 整个存档和当前档案的进度、设置，见 save.js
+    save: null,
+    progress: { stars: {}, scores: {} },
+    settings: { ...DEFAULT_SETTINGS },
+    // 当前档案的手势校准，为空时使用默认阈值和整幅画面映射
+    calibration: null,
+    // 当前锁定的操作手 { x, y, label, tracked }：本帧的手腕位置和 MediaPipe 标签，没有锁定时为 null
+    controlHand: null,
+    // 操作手关键点平滑器(见 smoothing.js)，换手时重置
+    handSmoother: createHandSmoother(DEFAULT_SETTINGS.smoothing),
+    // 从 JSON 导入的关卡，不为空时替代关卡包中的关卡
+    customLevel: null,
+    // 关卡编辑器打开时暂停游戏，画布输入交给编辑器
+    isEditing: false,
+    // 模拟世界(GameWorld)：猪、木块、小鸟、分数和剩余小鸟数
+    world: null,
     pullStart: null,
     pullEnd: null,
     launchVelocity: { x: 0, y: 0 },
-    pigs: [],
-    blocks: [],
     particles: [],
+    // 得分飘字 [{x, y, text, comboText, color, life}]
+    scorePopups: [],
+    // #score 当前显示的分数，逐步追上 world.score
+    displayedScore: 0,
     clouds: [],
     trajectory: [],
     handLandmarks: null,
@@ -130,11 +148,30 @@ const gameState = {
     handCenter: { x: 0, y: 0 },
     pullStartTime: null,
     minPullDuration: 2000,
+    // 发射后多久(毫秒)内忽略技能触发，防止松手发射的同一个动作被当成触发
+    launchTime: null,
+    abilityDebounce: 250,
+    // 小鸟停下后等待结算的定时器，换关时清除
+    birdStoppedTimer: null,
+    // 拉弓时操作手丢失后保持拉弓的时长(毫秒)，期间追踪恢复就继续瞄准，超时则取消而不是发射
+    trackingGracePeriod: 400,
+    // MediaPipe 追踪关键点的置信度低于这个值时这只手不出现在结果里，拉弓时按操作手丢失处理，不用来判断松手
+    minTrackingConfidence: 0.7,
+    // 拉弓时连续这么多帧松开才算松手发射，单帧的误判不会发射
+    releaseConfirmFrames: 2,
+    trackingLostAt: null,
+    releaseFrames: 0,
     levelPassed: false,
+    // HUD 目标进度上次渲染的内容
+    objectivesText: '',
+    // 结算动画编号，变化后进行中的动画停止
+    tallyToken: 0,
+    // 固定步长循环状态
+    lastFrameTime: null,
+    frameAccumulator: 0,
+    isHandsProcessing: false,
     // 移动端触控状态
-    isTouchDevice: false,
-    touchStartPos: null,
-    isTouching: false
+    isTouchDevice: false
 };
 
 // DOM 元素
@@ -149,6 +186,7 @@ const elements = {
     retryBtn: document.getElementById('retry-btn'),
     modalNextBtn: document.getElementById('modal-next-btn'),
     scoreDisplay: document.getElementById('score'),
+    shotSummary: document.getElementById('shot-summary'),
     levelDisplay: document.getElementById('level'),
     birdsLeftDisplay: document.getElementById('birds-left'),
     birdsCountLarge: document.getElementById('birds-count-large'),
@@ -160,274 +198,23 @@ const elements = {
     modalTitle: document.getElementById('modal-title'),
     modalScore: document.getElementById('modal-score'),
     modalStars: document.getElementById('modal-stars'),
-    modalHint: document.getElementById('modal-hint')
+    modalHint: document.getElementById('modal-hint'),
+    modalObjectives: document.getElementById('modal-objectives'),
+    modalTally: document.getElementById('modal-tally'),
+    modalThresholds: document.getElementById('modal-thresholds'),
+    objectivesList: document.getElementById('objectives-list'),
+    importLevelBtn: document.getElementById('import-level-btn'),
+    levelFileInput: document.getElementById('level-file-input'),
+    levelError: document.getElementById('level-error'),
+    levelErrorSource: document.getElementById('level-error-source'),
+    levelErrorList: document.getElementById('level-error-list'),
+    levelErrorClose: document.getElementById('level-error-close')
 };
 
 // 画布上下文
 let ctx;
 let handCtx;
 
-/**
- * 关卡定义 - 物体按放置顺序定义
- * 规则：
- * 1. 物体按定义顺序依次放置
- * 2. 新物体会检查与已放置物体的x范围是否重叠
- * 3. 如果x范围重叠，新物体会堆叠在已有物体上方
- * 4. 猪和其头顶木块必须紧挨着定义（先猪后木块）
- */
-const LEVEL_DEFINITIONS = [
-    // 第1关：简单入门
-    {
-        birds: 5,
-        objects: [
-            // 左柱子
-            { x: 0.15, type: 'pillar', material: 'wood', height: 80 },
-            // 右柱子
-            { x: 0.35, type: 'pillar', material: 'wood', height: 80 },
-            // 横梁（放在柱子上）
-            { x: 0.25, type: 'beam', material: 'wood', width: 160 },
-            // 猪（放在横梁上）
-            { x: 0.25, type: 'pig', radius: 22 },
-            // 猪头顶木块
-            { x: 0.25, type: 'block', material: 'wood', width: 50, height: 20 }
-        ]
-    },
-    // 第2关：双塔结构
-    {
-        birds: 6,
-        objects: [
-            // 左塔
-            { x: 0.12, type: 'pillar', material: 'wood', height: 90 },
-            { x: 0.20, type: 'pillar', material: 'wood', height: 90 },
-            { x: 0.16, type: 'beam', material: 'wood', width: 70 },
-            { x: 0.16, type: 'pig', radius: 18 },
-            { x: 0.16, type: 'block', material: 'wood', width: 40, height: 15 },
-            // 右塔
-            { x: 0.36, type: 'pillar', material: 'wood', height: 90 },
-            { x: 0.44, type: 'pillar', material: 'wood', height: 90 },
-            { x: 0.40, type: 'beam', material: 'wood', width: 70 },
-            { x: 0.40, type: 'pig', radius: 18 },
-            { x: 0.40, type: 'block', material: 'wood', width: 40, height: 15 },
-            // 顶部横梁连接两塔
-            { x: 0.28, type: 'beam', material: 'wood', width: 180 }
-        ]
-    },
-    // 第3关：石木混合堡垒
-    {
-        birds: 7,
-        objects: [
-            // 外墙石柱
-            { x: 0.08, type: 'pillar', material: 'stone', height: 100 },
-            { x: 0.52, type: 'pillar', material: 'stone', height: 100 },
-            // 内部三个木柱
-            { x: 0.18, type: 'pillar', material: 'wood', height: 80 },
-            { x: 0.30, type: 'pillar', material: 'wood', height: 80 },
-            { x: 0.42, type: 'pillar', material: 'wood', height: 80 },
-            // 第一层石梁
-            { x: 0.30, type: 'beam', material: 'stone', width: 220 },
-            // 第一层猪（左）
-            { x: 0.18, type: 'pig', radius: 16 },
-            { x: 0.18, type: 'block', material: 'wood', width: 35, height: 12 },
-            // 第一层猪（中）
-            { x: 0.30, type: 'pig', radius: 18 },
-            { x: 0.30, type: 'block', material: 'stone', width: 40, height: 12 },
-            // 第一层猪（右）
-            { x: 0.42, type: 'pig', radius: 16 },
-            { x: 0.42, type: 'block', material: 'wood', width: 35, height: 12 },
-            // 第二层柱子
-            { x: 0.24, type: 'pillar', material: 'wood', height: 50 },
-            { x: 0.36, type: 'pillar', material: 'wood', height: 50 },
-            // 顶部横梁
-            { x: 0.30, type: 'beam', material: 'stone', width: 120 }
-        ]
-    },
-    // 第4关：多层城堡
-    {
-        birds: 8,
-        objects: [
-            // 外墙石柱
-            { x: 0.06, type: 'pillar', material: 'stone', height: 120 },
-            { x: 0.54, type: 'pillar', material: 'stone', height: 120 },
-            // 内部木柱
-            { x: 0.18, type: 'pillar', material: 'wood', height: 100 },
-            { x: 0.30, type: 'pillar', material: 'wood', height: 100 },
-            { x: 0.42, type: 'pillar', material: 'wood', height: 100 },
-            // 第一层石梁
-            { x: 0.30, type: 'beam', material: 'stone', width: 240 },
-            // 底层猪（左）
-            { x: 0.18, type: 'pig', radius: 16 },
-            { x: 0.18, type: 'block', material: 'wood', width: 35, height: 12 },
-            // 底层猪（中）
-            { x: 0.30, type: 'pig', radius: 18 },
-            { x: 0.30, type: 'block', material: 'wood', width: 40, height: 12 },
-            // 底层猪（右）
-            { x: 0.42, type: 'pig', radius: 16 },
-            { x: 0.42, type: 'block', material: 'wood', width: 35, height: 12 },
-            // 第二层柱子
-            { x: 0.24, type: 'pillar', material: 'wood', height: 60 },
-            { x: 0.36, type: 'pillar', material: 'wood', height: 60 },
-            // 第二层横梁
-            { x: 0.30, type: 'beam', material: 'stone', width: 140 },
-            // 顶层猪
-            { x: 0.30, type: 'pig', radius: 20 },
-            { x: 0.30, type: 'block', material: 'wood', width: 45, height: 15 }
-        ]
-    },
-    // 第5关：终极堡垒
-    {
-        birds: 10,
-        objects: [
-            // 外墙石柱
-            { x: 0.04, type: 'pillar', material: 'stone', height: 140 },
-            { x: 0.60, type: 'pillar', material: 'stone', height: 140 },
-            // 内部五根木柱
-            { x: 0.14, type: 'pillar', material: 'wood', height: 110 },
-            { x: 0.24, type: 'pillar', material: 'wood', height: 110 },
-            { x: 0.32, type: 'pillar', material: 'wood', height: 110 },
-            { x: 0.40, type: 'pillar', material: 'wood', height: 110 },
-            { x: 0.50, type: 'pillar', material: 'wood', height: 110 },
-            // 第一层石梁
-            { x: 0.32, type: 'beam', material: 'stone', width: 300 },
-            // 底层猪（4只，分布在柱子之间）
-            { x: 0.14, type: 'pig', radius: 14 },
-            { x: 0.14, type: 'block', material: 'wood', width: 32, height: 10 },
-            { x: 0.28, type: 'pig', radius: 16 },
-            { x: 0.28, type: 'block', material: 'wood', width: 35, height: 10 },
-            { x: 0.36, type: 'pig', radius: 16 },
-            { x: 0.36, type: 'block', material: 'wood', width: 35, height: 10 },
-            { x: 0.50, type: 'pig', radius: 14 },
-            { x: 0.50, type: 'block', material: 'wood', width: 32, height: 10 },
-            // 第二层柱子
-            { x: 0.24, type: 'pillar', material: 'wood', height: 60 },
-            { x: 0.40, type: 'pillar', material: 'wood', height: 60 },
-            // 第二层横梁
-            { x: 0.32, type: 'beam', material: 'stone', width: 180 },
-            // 中层猪
-            { x: 0.32, type: 'pig', radius: 18 },
-            { x: 0.32, type: 'block', material: 'wood', width: 40, height: 12 },
-            // 第三层柱子
-            { x: 0.28, type: 'pillar', material: 'wood', height: 40 },
-            { x: 0.36, type: 'pillar', material: 'wood', height: 40 },
-            // 顶部横梁
-            { x: 0.32, type: 'beam', material: 'wood', width: 100 },
-            // 顶层猪
-            { x: 0.32, type: 'pig', radius: 16 },
-            { x: 0.32, type: 'block', material: 'stone', width: 35, height: 12 }
-        ]
-    }
-];
-
-/**
- * 物理世界堆叠系统
- * 确保物体不重叠，只能向上堆叠
- */
-class PhysicsWorld {
-    constructor(canvasWidth, canvasHeight) {
-        this.canvasWidth = canvasWidth;
-        this.canvasHeight = canvasHeight;
-        this.groundY = canvasHeight * GROUND_Y_RATIO;
-        this.occupiedSpaces = [];
-    }
-    
-    /**
-     * 获取物体尺寸
-     */
-    getObjectSize(obj) {
-        if (obj.type === 'pig') {
-            const radius = obj.radius || 20;
-            return { width: radius * 2, height: radius * 2, radius };
-        } else if (obj.type === 'pillar') {
-            return { width: 15, height: obj.height || 80 };
-        } else if (obj.type === 'beam') {
-            return { width: obj.width || 100, height: 15 };
-        } else {
-            return { width: obj.width || 40, height: obj.height || 40 };
-        }
-    }
-    
-    /**
-     * 查找物体应该放置的y坐标（底部）
-     * 检查所有x范围重叠的已放置物体，取最高点
-     */
-    findPlacementY(xLeft, xRight) {
-        let highestTop = this.groundY;
-        
-        for (const space of this.occupiedSpaces) {
-            // 检查x范围是否重叠（有交集）
-            if (xRight > space.xLeft && xLeft < space.xRight) {
-                // x有重叠，新物体必须放在这个物体上方
-                if (space.top < highestTop) {
-                    highestTop = space.top;
-                }
-            }
-        }
-        
-        return highestTop;
-    }
-    
-    /**
-     * 放置物体
-     */
-    placeObject(obj) {
-        const x = obj.x * this.canvasWidth;
-        const size = this.getObjectSize(obj);
-        
-        const xLeft = x - size.width / 2;
-        const xRight = x + size.width / 2;
-        
-        // 找到放置位置
-        const bottomY = this.findPlacementY(xLeft, xRight);
-        const centerY = bottomY - size.height / 2;
-        const topY = bottomY - size.height;
-        
-        // 记录占用空间
-        this.occupiedSpaces.push({
-            xLeft, xRight,
-            top: topY,
-            bottom: bottomY,
-            type: obj.type
-        });
-        
-        if (obj.type === 'pig') {
-            return { type: 'pig', x, y: centerY, radius: size.radius };
-        } else {
-            return {
-                type: 'block', x, y: centerY,
-                width: size.width, height: size.height,
-                material: obj.material || 'wood'
-            };
-        }
-    }
-    
-    /**
-     * 处理关卡所有物体
-     */
-    processLevel(objects) {
-        const pigs = [];
-        const blocks = [];
-        
-        for (const obj of objects) {
-            const placed = this.placeObject(obj);
-            
-            if (placed.type === 'pig') {
-                pigs.push({
-                    x: placed.x, y: placed.y, radius: placed.radius,
-                    health: placed.radius, vx: 0, vy: 0
-                });
-            } else {
-                blocks.push({
-                    x: placed.x, y: placed.y,
-                    width: placed.width, height: placed.height,
-                    type: placed.material,
-                    health: placed.material === 'stone' ? 100 : 50,
-                    vx: 0, vy: 0
-                });
-            }
-        }
-        
-        return { pigs, blocks };
-    }
-}
 
 // 初始化加载进度
 let loadProgress = 0;
@@ -456,164 +243,51 @@ function isTouchDevice() {
            (navigator.msMaxTouchPoints > 0);
 }
 
-/**
- * 初始化触控事件监听
- * 为移动端提供触控拖拽发射小鸟的能力
- */
-function initTouchControls() {
-    const canvas = elements.canvas;
-    
-    canvas.addEventListener('touchstart', handleTouchStart, { passive: false });
-    canvas.addEventListener('touchmove', handleTouchMove, { passive: false });
-    canvas.addEventListener('touchend', handleTouchEnd, { passive: false });
-    canvas.addEventListener('touchcancel', handleTouchEnd, { passive: false });
-    
-    // 鼠标事件兼容(PC端备用)
-    canvas.addEventListener('mousedown', handleMouseDown);
-    canvas.addEventListener('mousemove', handleMouseMove);
-    canvas.addEventListener('mouseup', handleMouseUp);
-    canvas.addEventListener('mouseleave', handleMouseUp);
-}
-
-/**
- * 处理触控开始事件
- * @param {TouchEvent} e - 触控事件对象
- */
-function handleTouchStart(e) {
-    e.preventDefault();
-    if (!gameState.canLaunch || !gameState.currentBird) return;
-    
-    const touch = e.touches[0];
-    const rect = elements.canvas.getBoundingClientRect();
-    const x = touch.clientX - rect.left;
-    const y = touch.clientY - rect.top;
-    
-    // 检查是否点击在小鸟附近
-    const bird = gameState.currentBird;
-    const dist = Math.sqrt(Math.pow(x - bird.x, 2) + Math.pow(y - bird.y, 2));
-    
-    if (dist < 80) {
-        gameState.isTouching = true;
-        gameState.touchStartPos = { x, y };
-        gameState.pullStart = { x, y };
-        gameState.pullStartTime = Date.now();
-        gameState.isPulling = true;
-        AudioController.playPull();
-        
-        elements.gestureText.textContent = '拖动瞄准...';
-        elements.handIcon.textContent = '👆';
-    }
-}
-
-/**
- * 处理触控移动事件
- * @param {TouchEvent} e - 触控事件对象
- */
-function handleTouchMove(e) {
-    e.preventDefault();
-    if (!gameState.isTouching || !gameState.isPulling) return;
-    
-    const touch = e.touches[0];
-    const rect = elements.canvas.getBoundingClientRect();
-    const x = touch.clientX - rect.left;
-    const y = touch.clientY - rect.top;
-    
-    gameState.pullEnd = { x, y };
-    gameState.handCenter = { x, y };
-    updatePullForce();
+function updateBirdsDisplay(count) {
+    elements.birdsLeftDisplay.textContent = count;
+    if (elements.birdsCountLarge) elements.birdsCountLarge.textContent = count;
 }
 
 /**
- * 处理触控结束事件
- * @param {TouchEvent} e - 触控事件对象
+ * 关卡目标的显示文字
+ * @param {Object} result - GameWorld.evaluateObjectives 返回的单个目标进度
+ * @returns {string}
  */
-function handleTouchEnd(e) {
-    e.preventDefault();
-    if (!gameState.isTouching) return;
-    
-    gameState.isTouching = false;
-    
-    if (gameState.isPulling && gameState.canLaunch) {
-        const pullDuration = Date.now() - gameState.pullStartTime;
-        if (pullDuration >= gameState.minPullDuration) {
-            launchBird();
-        } else {
-            elements.gestureText.textContent = '瞄准时间不足，请重试';
-            gameState.isPulling = false;
-            gameState.pullStartTime = null;
-            resetBirdPosition();
-        }
+function describeObjective(result) {
+    switch (result.type) {
+        case 'destroyAllPigs': return `消灭所有猪 ${result.current}/${result.total}`;
+        case 'score': return `得分达到 ${result.target} (${Math.min(result.current, result.target)})`;
+        case 'destroy': return `摧毁 ${result.target}`;
+        case 'protect': return `保护 ${result.target}`;
+        case 'timeLimit': return `限时 ${Math.max(0, Math.ceil(result.seconds - result.current))} 秒`;
+        default: return result.type;
     }
 }
 
 /**
- * 处理鼠标按下事件(PC端备用)
- * @param {MouseEvent} e - 鼠标事件对象
+ * 把目标进度渲染成列表：达成 ✓，失败 ✗，进行中 ○
+ * @param {HTMLElement} list - ul 元素
+ * @param {Array} results - 目标进度
  */
-function handleMouseDown(e) {
-    if (!gameState.canLaunch || !gameState.currentBird) return;
-    
-    const rect = elements.canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
-    
-    const bird = gameState.currentBird;
-    const dist = Math.sqrt(Math.pow(x - bird.x, 2) + Math.pow(y - bird.y, 2));
-    
-    if (dist < 80) {
-        gameState.isTouching = true;
-        gameState.touchStartPos = { x, y };
-        gameState.pullStart = { x, y };
-        gameState.pullStartTime = Date.now();
-        gameState.isPulling = true;
-        AudioController.playPull();
-        
-        elements.gestureText.textContent = '拖动瞄准...';
-        elements.handIcon.textContent = '👆';
-    }
-}
-
-/**
- * 处理鼠标移动事件(PC端备用)
- * @param {MouseEvent} e - 鼠标事件对象
- */
-function handleMouseMove(e) {
-    if (!gameState.isTouching || !gameState.isPulling) return;
-    
-    const rect = elements.canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
-    
-    gameState.pullEnd = { x, y };
-    gameState.handCenter = { x, y };
-    updatePullForce();
+function renderObjectives(list, results) {
+    list.innerHTML = '';
+    results.forEach(result => {
+        const item = document.createElement('li');
+        item.className = result.failed ? 'failed' : result.done ? 'done' : '';
+        item.textContent = `${result.failed ? '✗' : result.done ? '✓' : '○'} ${describeObjective(result)}`;
+        list.appendChild(item);
+    });
 }
 
 /**
- * 处理鼠标释放事件(PC端备用)
- * @param {MouseEvent} e - 鼠标事件对象
+ * 更新 HUD 中的目标进度，内容不变时不改动 DOM
  */
-function handleMouseUp(e) {
-    if (!gameState.isTouching) return;
-    
-    gameState.isTouching = false;
-    
-    if (gameState.isPulling && gameState.canLaunch) {
-        const pullDuration = Date.now() - gameState.pullStartTime;
-        if (pullDuration >= gameState.minPullDuration) {
-            launchBird();
-        } else {
-            elements.gestureText.textContent = '瞄准时间不足，请重试';
-            gameState.isPulling = false;
-            gameState.pullStartTime = null;
-            resetBirdPosition();
-        }
-    }
-}
-
-function updateBirdsDisplay(count) {
-    elements.birdsLeftDisplay.textContent = count;
-    if (elements.birdsCountLarge) elements.birdsCountLarge.textContent = count;
+function updateObjectivesDisplay() {
+    const results = gameState.world.evaluateObjectives();
+    const text = results.map(result => `${result.done}${result.failed}${describeObjective(result)}`).join('|');
+    if (text === gameState.objectivesText) return;
+    gameState.objectivesText = text;
+    renderObjectives(elements.objectivesList, results);
 }
 
 /**
@@ -624,12 +298,12 @@ function initCanvas() {
     ctx = elements.canvas.getContext('2d');
     handCtx = elements.handOverlay.getContext('2d');
     resizeCanvas();
+    gameState.world = new GameWorld(elements.canvas.width, elements.canvas.height);
     window.addEventListener('resize', resizeCanvas);
     createClouds();
     
-    // 检测触控设备并初始化触控控制
+    // 检测触控设备
     gameState.isTouchDevice = isTouchDevice();
-    initTouchControls();
     
     updateLoadProgress(20);
 }
@@ -697,64 +371,137 @@ async function initHands() {
         maxNumHands: 2,
         modelComplexity: 1,
         minDetectionConfidence: 0.6,
-        minTrackingConfidence: 0.6
+        minTrackingConfidence: gameState.minTrackingConfidence
     });
     gameState.hands.onResults(onHandsResults);
     updateLoadProgress(30);
 }
 
+// ============== 操作手选择 ==============
+
+// MediaPipe 按镜像画面标注左右手：标签 'Left' 是玩家的右手
+const HAND_LABELS = { right: 'Left', left: 'Right' };
+const HAND_NAMES = { Left: '右手', Right: '左手' };
+// 锁定的操作手在相邻两帧间手腕移动的最大距离(归一化)，超过视为另一只手
+const HAND_TRACK_RADIUS = 0.15;
+
+/**
+ * 选出操作手：已锁定时跟随手腕位置最近的那只手，不受左右标签跳变影响；
+ * 没有锁定时按设置取对应标签的手，auto 模式取第一只捏合的手
+ * @param {Object} results - MediaPipe Hands返回的识别结果
+ * @param {boolean} lockAny - auto 模式下不等捏合，直接锁定第一只手(校准时使用)
+ * @returns {number} 操作手在 multiHandLandmarks 中的序号，没有时为 -1
+ */
+function selectControlHand(results, lockAny = false) {
+    const hands = results.multiHandLandmarks;
+    const labels = hands.map((hand, i) => (results.multiHandedness && results.multiHandedness[i] || {}).label);
+    let selected = -1;
+    let tracked = false;
+    
+    const locked = gameState.controlHand;
+    if (locked) {
+        let nearest = HAND_TRACK_RADIUS;
+        hands.forEach((hand, i) => {
+            const distance = Math.hypot(hand[0].x - locked.x, hand[0].y - locked.y);
+            if (distance < nearest) {
+                nearest = distance;
+                selected = i;
+                tracked = true;
+            }
+        });
+    }
+    if (selected === -1) {
+        const setting = gameState.settings.hand;
+        if (setting === 'auto') {
+            const pinch = getPinchThresholds(gameState.calibration).pinch;
+            selected = lockAny ? 0 : hands.findIndex(hand => getPinchDistance(hand) < pinch);
+        } else {
+            selected = labels.indexOf(HAND_LABELS[setting]);
+        }
+    }
+    
+    // 锁定后沿用第一次识别的标签，显示的左右手不随标签跳变；tracked 表示与上一帧是同一只手
+    gameState.controlHand = selected === -1 ? null : {
+        x: hands[selected][0].x,
+        y: hands[selected][0].y,
+        label: tracked ? locked.label : labels[selected],
+        tracked
+    };
+    return selected;
+}
+
+/**
+ * 没有操作手时的提示
+ */
+function getControlHandHint() {
+    if (gameState.settings.hand === 'auto') return '捏合任意一只手开始操作';
+    return `请使用${gameState.settings.hand === 'left' ? '左手' : '右手'}操作`;
+}
+
 /**
  * 手势识别结果回调
- * 处理MediaPipe返回的手部关键点数据，识别右手并检测捏合手势
+ * 处理MediaPipe返回的手部关键点数据，选出操作手并检测捏合手势
  * @param {Object} results - MediaPipe Hands返回的识别结果
  */
 function onHandsResults(results) {
     handCtx.clearRect(0, 0, elements.handOverlay.width, elements.handOverlay.height);
+    const handInput = getInputProvider('hand');
+    if (!handInput) return;
     
     if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-        let rightHandIndex = -1;
-        
-        if (results.multiHandedness) {
-            results.multiHandedness.forEach((handedness, index) => {
-                if (handedness.label === 'Left') rightHandIndex = index;
-            });
-        }
+        const controlIndex = selectControlHand(results, calibrationState.isOpen);
+        const controlLabel = gameState.controlHand && HAND_NAMES[gameState.controlHand.label];
+        // 操作手的关键点先经过平滑再交给游戏，画面上显示的也是平滑后的操作手
+        if (controlIndex === -1 || !gameState.controlHand.tracked) gameState.handSmoother.reset();
+        const controlHand = controlIndex === -1 ? null
+            : gameState.handSmoother.smooth(results.multiHandLandmarks[controlIndex], performance.now() / 1000);
         
         results.multiHandLandmarks.forEach((hand, index) => {
-            drawHandLandmarks(hand, index === rightHandIndex);
+            if (index === controlIndex) drawHandLandmarks(controlHand, true, controlLabel);
+            else drawHandLandmarks(hand, false);
         });
         
-        if (rightHandIndex !== -1) {
-            gameState.handLandmarks = results.multiHandLandmarks[rightHandIndex];
-            detectPinchGesture(gameState.handLandmarks);
-        } else {
+        // 校准、编辑关卡和拉弓时不识别手势指令；保持着有效的指令手势时不开始捏合瞄准
+        const commandActive = updateGestureCommands(calibrationState.isOpen || gameState.isEditing || gameState.isPulling ? null : controlHand);
+        
+        if (controlHand && calibrationState.isOpen) {
+            recordCalibrationSample(controlHand);
+        } else if (controlHand && commandActive) {
+            gameState.handLandmarks = controlHand;
+            handInput.observe(controlHand);
+        } else if (controlHand) {
+            gameState.trackingLostAt = null;
+            gameState.handLandmarks = controlHand;
+            handInput.update(gameState.handLandmarks);
+        } else if (!handInput.holdWhileLost()) {
             gameState.handLandmarks = null;
             gameState.isPinching = false;
-            elements.gestureText.textContent = '请使用右手操作';
+            elements.gestureText.textContent = getControlHandHint();
             elements.handIcon.textContent = '👋';
-            if (gameState.isPulling && gameState.canLaunch) launchBird();
-            gameState.isPulling = false;
         }
     } else {
-        gameState.handLandmarks = null;
-        gameState.isPinching = false;
-        elements.gestureText.textContent = '等待手势...';
-        elements.handIcon.textContent = '✋';
-        if (gameState.isPulling && gameState.canLaunch) launchBird();
-        gameState.isPulling = false;
+        gameState.controlHand = null;
+        updateGestureCommands(null);
+        if (!handInput.holdWhileLost()) {
+            gameState.handLandmarks = null;
+            gameState.isPinching = false;
+            elements.gestureText.textContent = '等待手势...';
+            elements.handIcon.textContent = '✋';
+        }
     }
 }
 
 /**
- * 绘制手部关键点和骨架连线
+ * 绘制手部关键点和骨架连线，操作手高亮显示
  * @param {Array} hand - 21个手部关键点数组
- * @param {boolean} isRightHand - 是否为右手(主控手)
+ * @param {boolean} isControlHand - 是否为操作手
+ * @param {string} label - 操作手旁显示的文字(右手/左手)
  */
-function drawHandLandmarks(hand, isRightHand = true) {
+function drawHandLandmarks(hand, isControlHand = true, label = '') {
     const width = elements.handOverlay.width;
     const height = elements.handOverlay.height;
-    const mainColor = isRightHand ? '#00d4ff' : '#888888';
-    const tipColor = isRightHand ? '#ff6b35' : '#666666';
+    const mainColor = isControlHand ? '#00d4ff' : '#888888';
+    const tipColor = isControlHand ? '#ff6b35' : '#666666';
     
     const connections = [
         [0, 1], [1, 2], [2, 3], [3, 4], [0, 5], [5, 6], [6, 7], [7, 8],
@@ -764,7 +511,7 @@ function drawHandLandmarks(hand, isRightHand = true) {
     
     handCtx.strokeStyle = mainColor;
     handCtx.lineWidth = 2;
-    handCtx.globalAlpha = isRightHand ? 0.8 : 0.4;
+    handCtx.globalAlpha = isControlHand ? 0.8 : 0.4;
     
     connections.forEach(([i, j]) => {
         handCtx.beginPath();
@@ -783,7 +530,7 @@ function drawHandLandmarks(hand, isRightHand = true) {
         const radius = isFingerTip ? 6 : 3;
         const color = isFingerTip ? tipColor : mainColor;
         
-        if (isRightHand) {
+        if (isControlHand) {
             const gradient = handCtx.createRadialGradient(x, y, 0, x, y, radius + 5);
             gradient.addColorStop(0, color);
             gradient.addColorStop(1, 'transparent');
@@ -796,12 +543,12 @@ function drawHandLandmarks(hand, isRightHand = true) {
         handCtx.beginPath();
         handCtx.arc(x, y, radius, 0, Math.PI * 2);
         handCtx.fillStyle = color;
-        handCtx.globalAlpha = isRightHand ? 1 : 0.5;
+        handCtx.globalAlpha = isControlHand ? 1 : 0.5;
         handCtx.fill();
         handCtx.globalAlpha = 1;
     });
     
-    if (isRightHand) {
+    if (isControlHand) {
         const thumb = hand[4], index = hand[8];
         const thumbX = (1 - thumb.x) * width, thumbY = thumb.y * height;
         const indexX = (1 - index.x) * width, indexY = index.y * height;
@@ -817,75 +564,7 @@ function drawHandLandmarks(hand, isRightHand = true) {
         
         handCtx.fillStyle = '#00ff88';
         handCtx.font = '10px Arial';
-        handCtx.fillText('右手', (1 - hand[0].x) * width - 15, hand[0].y * height + 20);
-    }
-}
-
-/**
- * 检测捏合手势
- * 计算拇指和食指距离，判断是否形成捏合，控制小鸟瞄准和发射
- * @param {Array} hand - 手部关键点数组
- */
-function detectPinchGesture(hand) {
-    const thumb = hand[4], index = hand[8];
-    const distance = Math.sqrt(Math.pow(thumb.x - index.x, 2) + Math.pow(thumb.y - index.y, 2));
-    
-    gameState.pinchDistance = distance;
-    gameState.handCenter = {
-        x: (1 - ((thumb.x + index.x) / 2)) * elements.canvas.width,
-        y: ((thumb.y + index.y) / 2) * elements.canvas.height
-    };
-    
-    const pinchThreshold = 0.10;
-    const wasPinching = gameState.isPinching;
-    const isNowPinching = distance < pinchThreshold;
-    
-    if (gameState.needsHandReset) {
-        if (!isNowPinching) {
-            gameState.needsHandReset = false;
-            elements.gestureText.textContent = '手势已重置，请捏合';
-        } else {
-            elements.gestureText.textContent = '请先松开手指重置手势';
-            elements.handIcon.textContent = '✋';
-            return;
-        }
-    }
-    
-    gameState.isPinching = isNowPinching;
-    
-    if (gameState.isPinching) {
-        elements.gestureText.textContent = '捏合中 - 拉动发射！';
-        elements.handIcon.textContent = '🤏';
-        
-        if (gameState.canLaunch && gameState.currentBird) {
-            if (!gameState.isPulling) {
-                gameState.isPulling = true;
-                gameState.pullStart = { ...gameState.handCenter };
-                gameState.pullStartTime = Date.now();
-                AudioController.playPull();
-            }
-            gameState.pullEnd = { ...gameState.handCenter };
-            updatePullForce();
-        }
-    } else {
-        elements.gestureText.textContent = '张开手指瞄准';
-        elements.handIcon.textContent = '✋';
-        
-        if (wasPinching && gameState.isPulling && gameState.canLaunch) {
-            const pullDuration = Date.now() - gameState.pullStartTime;
-            if (pullDuration >= gameState.minPullDuration) {
-                launchBird();
-            } else {
-                elements.gestureText.textContent = '瞄准时间不足，请重试';
-                gameState.isPulling = false;
-                gameState.pullStartTime = null;
-                resetBirdPosition();
-            }
-        } else if (gameState.isPulling) {
-            gameState.isPulling = false;
-            gameState.pullStartTime = null;
-            resetBirdPosition();
-        }
+        handCtx.fillText(label, (1 - hand[0].x) * width - 15, hand[0].y * height + 20);
     }
 }
 
@@ -894,9 +573,8 @@ function detectPinchGesture(hand) {
  * 当瞄准时间不足或取消发射时调用
  */
 function resetBirdPosition() {
-    if (gameState.currentBird) {
-        gameState.currentBird.x = elements.canvas.width * SLINGSHOT_X_RATIO;
-        gameState.currentBird.y = elements.canvas.height * SLINGSHOT_Y_RATIO;
+    if (gameState.world.bird) {
+        gameState.world.resetBird();
         elements.powerFill.style.width = '0%';
         elements.powerValue.textContent = '0%';
     }
@@ -930,22 +608,13 @@ function updatePullForce() {
         elements.powerValue.textContent = Math.round(power) + '%';
     }
     
-    let vx = -pullDx * LAUNCH_POWER_MULTIPLIER;
-    let vy = -pullDy * LAUNCH_POWER_MULTIPLIER;
-    const speed = Math.sqrt(vx * vx + vy * vy);
-    if (speed > MAX_LAUNCH_SPEED) {
-        const scale = MAX_LAUNCH_SPEED / speed;
-        vx *= scale;
-        vy *= scale;
-    }
-    gameState.launchVelocity = { x: vx, y: vy };
+    gameState.launchVelocity = computeLaunchVelocity(pullDx, pullDy);
     
-    const slingshotX = elements.canvas.width * SLINGSHOT_X_RATIO;
-    const slingshotY = elements.canvas.height * SLINGSHOT_Y_RATIO;
-    if (gameState.currentBird) {
+    const slingshot = gameState.world.slingshot;
+    if (gameState.world.bird) {
         const pullRatio = Math.min(distance / MAX_PULL_DISTANCE, 1);
-        gameState.currentBird.x = slingshotX + pullDx * pullRatio * 0.5;
-        gameState.currentBird.y = slingshotY + pullDy * pullRatio * 0.5;
+        gameState.world.bird.x = slingshot.x + pullDx * pullRatio * 0.5;
+        gameState.world.bird.y = slingshot.y + pullDy * pullRatio * 0.5;
     }
     
     calculateTrajectory();
@@ -958,21 +627,7 @@ function updatePullForce() {
 function calculateTrajectory() {
     gameState.trajectory = [];
     if (!gameState.launchVelocity || gameState.launchVelocity.x === 0) return;
-    
-    let x = elements.canvas.width * SLINGSHOT_X_RATIO;
-    let y = elements.canvas.height * SLINGSHOT_Y_RATIO;
-    let vx = gameState.launchVelocity.x;
-    let vy = gameState.launchVelocity.y;
-    
-    for (let i = 0; i < 50; i++) {
-        gameState.trajectory.push({ x, y });
-        vx *= FRICTION;
-        vy *= FRICTION;
-        vy += GRAVITY;
-        x += vx;
-        y += vy;
-        if (y > elements.canvas.height * GROUND_Y_RATIO || x < 0) break;
-    }
+    gameState.trajectory = gameState.world.predictTrajectory(gameState.launchVelocity.x, gameState.launchVelocity.y);
 }
 
 /**
@@ -980,25 +635,47 @@ function calculateTrajectory() {
  * 将计算好的速度赋予小鸟，标记为已发射状态，播放音效
  */
 function launchBird() {
-    if (!gameState.currentBird || !gameState.canLaunch) return;
-    
-    gameState.currentBird.vx = gameState.launchVelocity.x;
-    gameState.currentBird.vy = gameState.launchVelocity.y;
-    gameState.currentBird.isLaunched = true;
+    if (!gameState.world.bird || !gameState.canLaunch) return;
+    if (!gameState.world.launchBird(gameState.launchVelocity.x, gameState.launchVelocity.y)) return;
     
     AudioController.playLaunch();
     
     gameState.isPulling = false;
+    gameState.pullSource = null;
     gameState.pullStartTime = null;
     gameState.canLaunch = false;
     gameState.needsHandReset = true;
+    gameState.launchTime = Date.now();
     gameState.trajectory = [];
     
     elements.powerFill.style.width = '0%';
     elements.powerValue.textContent = '0%';
     
-    gameState.birdsLeft--;
-    updateBirdsDisplay(gameState.birdsLeft);
+    updateBirdsDisplay(gameState.world.birdsLeft);
+}
+
+/**
+ * 当前飞行中的小鸟是否还能触发技能
+ * @returns {boolean}
+ */
+function isBirdAbilityReady() {
+    const bird = gameState.world.bird;
+    return Boolean(bird && bird.isLaunched && !bird.abilityUsed && getBirdType(bird.type).ability);
+}
+
+/**
+ * 触发飞行中小鸟的技能
+ * 所有输入提供者的 ability 事件(第二次捏合、点击任意位置、Space、手柄 A 键)都走这里，
+ * 每只小鸟只触发一次，发射后 abilityDebounce 毫秒内的输入视为发射动作的延续而忽略
+ * @returns {boolean} 是否触发成功
+ */
+function triggerAbility() {
+    if (!gameState.isPlaying || gameState.isPaused || !isBirdAbilityReady()) return false;
+    if (Date.now() - gameState.launchTime < gameState.abilityDebounce) return false;
+    if (!gameState.world.activateAbility()) return false;
+    elements.gestureText.textContent = '技能已释放！';
+    elements.handIcon.textContent = '💥';
+    return true;
 }
 
 /**
@@ -1007,13 +684,6 @@ function launchBird() {
  */
 function startGame() {
     gameState.isPlaying = true;
-    gameState.score = 0;
-    
-    const levelIndex = (gameState.level - 1) % LEVEL_DEFINITIONS.length;
-    gameState.birdsLeft = LEVEL_DEFINITIONS[levelIndex].birds || 5;
-    
-    elements.scoreDisplay.textContent = '0';
-    updateBirdsDisplay(gameState.birdsLeft);
     elements.restartBtn.classList.remove('hidden');
     
     loadLevel(gameState.level);
@@ -1021,178 +691,168 @@ function startGame() {
 
 /**
  * 加载关卡
- * 根据关卡定义创建猪和木块，使用物理世界系统自动堆叠
+ * 按当前画布尺寸重新布局模拟世界，由 GameWorld 根据关卡定义自动堆叠猪和木块
  * @param {number} levelNum - 关卡编号
  */
 function loadLevel(levelNum) {
-    const levelIndex = (levelNum - 1) % LEVEL_DEFINITIONS.length;
-    const levelData = LEVEL_DEFINITIONS[levelIndex];
-    
-    gameState.pigs = [];
-    gameState.blocks = [];
-    gameState.canLaunch = true;
-    
-    const physicsWorld = new PhysicsWorld(elements.canvas.width, elements.canvas.height);
-    const { pigs, blocks } = physicsWorld.processLevel(levelData.objects);
-    
-    gameState.pigs = pigs;
-    gameState.blocks = blocks;
+    const levelData = getLevelData(levelNum);
+    
+    // 上一关还没结算的小鸟不再结算，避免在新关卡里多放一只小鸟
+    clearTimeout(gameState.birdStoppedTimer);
+    gameState.birdStoppedTimer = null;
+    gameState.world.setSize(elements.canvas.width, elements.canvas.height);
+    gameState.world.loadLevel(levelData);
+    gameState.isPaused = false;
+    gameState.particles = [];
+    gameState.scorePopups = [];
+    gameState.displayedScore = 0;
+    elements.scoreDisplay.textContent = '0';
     
-    spawnBird();
-    elements.levelDisplay.textContent = levelNum;
+    resetLaunchState();
+    updateBirdsDisplay(gameState.world.birdsLeft);
+    updateObjectivesDisplay();
+    elements.levelDisplay.textContent = getLevelLabel();
+    recordLastLevel();
 }
 
 /**
- * 生成新小鸟
- * 在弹弓位置创建待发射的小鸟，重置发射状态
+ * 获取关卡数据：导入的关卡优先，否则取当前关卡包中的关卡
+ * @param {number} levelNum - 包内关卡编号
+ * @returns {Object} 关卡定义
  */
-function spawnBird() {
-    gameState.currentBird = {
-        x: elements.canvas.width * SLINGSHOT_X_RATIO,
-        y: elements.canvas.height * SLINGSHOT_Y_RATIO,
-        radius: 22, vx: 0, vy: 0, isLaunched: false, color: '#ff4444'
-    };
-    gameState.canLaunch = true;
-    gameState.isPulling = false;
-    gameState.pullStart = null;
-    gameState.pullEnd = null;
-    gameState.launchVelocity = { x: 0, y: 0 };
-    gameState.trajectory = [];
-    elements.powerFill.style.width = '0%';
-    elements.powerValue.textContent = '0%';
+function getLevelData(levelNum) {
+    if (gameState.customLevel) return gameState.customLevel;
+    return getPackLevel(gameState.pack, levelNum);
 }
 
+// ============== 关卡导入 ==============
+
 /**
- * 更新物理模拟
- * 处理小鸟飞行、重力、碰撞检测、伤害计算和物体运动
+ * 初始化关卡导入：文件选择按钮、拖放到画布、URL 参数 ?level=相对路径
  */
-function updatePhysics() {
-    if (gameState.currentBird && gameState.currentBird.isLaunched) {
-        const bird = gameState.currentBird;
-        bird.vx *= FRICTION;
-        bird.vy *= FRICTION;
-        bird.vy += GRAVITY;
-        bird.x += bird.vx;
-        bird.y += bird.vy;
-        
-        const groundY = elements.canvas.height * GROUND_Y_RATIO;
-        if (bird.y + bird.radius > groundY) {
-            bird.y = groundY - bird.radius;
-            bird.vy *= -0.5;
-            bird.vx *= 0.8;
-            if (Math.abs(bird.vx) < 0.5 && Math.abs(bird.vy) < 0.5) birdStopped();
-        }
-        
-        if (bird.x > elements.canvas.width + 100 || bird.x < -100) birdStopped();
-        
-        for (let i = gameState.pigs.length - 1; i >= 0; i--) {
-            const pig = gameState.pigs[i];
-            if (checkCircleCollision(bird, pig)) {
-                pig.health -= 30;
-                pig.vx += bird.vx * 0.3;
-                pig.vy += bird.vy * 0.3;
-                createParticles(pig.x, pig.y, '#00ff00', 10);
-                if (pig.health <= 0) {
-                    gameState.pigs.splice(i, 1);
-                    gameState.score += 500;
-                    elements.scoreDisplay.textContent = gameState.score;
-                    createParticles(pig.x, pig.y, '#00ff00', 20);
-                }
-                bird.vx *= 0.7;
-                bird.vy *= 0.7;
-            }
-        }
-        
-        for (let i = gameState.blocks.length - 1; i >= 0; i--) {
-            const block = gameState.blocks[i];
-            if (checkCircleRectCollision(bird, block)) {
-                const damage = Math.sqrt(bird.vx * bird.vx + bird.vy * bird.vy) * 2;
-                block.health -= damage;
-                block.vx += bird.vx * 0.2;
-                block.vy += bird.vy * 0.2;
-                createParticles(bird.x, bird.y, block.type === 'stone' ? '#888' : '#8B4513', 5);
-                if (block.health <= 0) {
-                    gameState.blocks.splice(i, 1);
-                    gameState.score += 100;
-                    elements.scoreDisplay.textContent = gameState.score;
-                    createParticles(block.x, block.y, block.type === 'stone' ? '#888' : '#8B4513', 15);
-                }
-                bird.vx *= -0.5;
-                bird.vy *= 0.8;
-            }
-        }
-    }
-    
-    const groundY = elements.canvas.height * GROUND_Y_RATIO;
-    
-    gameState.pigs.forEach(pig => {
-        pig.vx *= 0.95;
-        pig.vy *= 0.95;
-        pig.vy += GRAVITY * 0.5;
-        pig.x += pig.vx;
-        pig.y += pig.vy;
-        if (pig.y + pig.radius > groundY) {
-            pig.y = groundY - pig.radius;
-            pig.vy *= -0.3;
-        }
+function initLevelImport() {
+    elements.importLevelBtn.addEventListener('click', () => elements.levelFileInput.click());
+    elements.levelFileInput.addEventListener('change', () => {
+        const file = elements.levelFileInput.files[0];
+        if (file) loadLevelFromFile(file);
+        // 清空选择，同一个文件修改后可以再次导入
+        elements.levelFileInput.value = '';
     });
+    elements.levelErrorClose.addEventListener('click', () => elements.levelError.classList.add('hidden'));
     
-    gameState.blocks.forEach(block => {
-        block.vx *= 0.95;
-        block.vy *= 0.95;
-        block.vy += GRAVITY * 0.3;
-        block.x += block.vx;
-        block.y += block.vy;
-        if (block.y + block.height / 2 > groundY) {
-            block.y = groundY - block.height / 2;
-            block.vy *= -0.2;
-        }
+    const canvas = elements.canvas;
+    canvas.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        canvas.classList.add('drag-over');
     });
-    
-    gameState.particles = gameState.particles.filter(p => {
-        p.x += p.vx;
-        p.y += p.vy;
-        p.vy += 0.2;
-        p.life--;
-        return p.life > 0;
+    canvas.addEventListener('dragleave', () => canvas.classList.remove('drag-over'));
+    canvas.addEventListener('drop', (e) => {
+        e.preventDefault();
+        canvas.classList.remove('drag-over');
+        const file = e.dataTransfer.files[0];
+        if (file) loadLevelFromFile(file);
     });
+    
+    const levelUrl = new URLSearchParams(window.location.search).get('level');
+    if (levelUrl) loadLevelFromUrl(levelUrl);
 }
 
 /**
- * 小鸟停止移动回调
- * 检查游戏状态：消灭所有猪则过关，小鸟用完则失败，否则生成新小鸟
+ * 从本地文件导入关卡
+ * @param {File} file - 用户选择或拖入的 JSON 文件
+ * @returns {Promise<boolean>} 是否导入成功
  */
-function birdStopped() {
-    gameState.currentBird = null;
-    setTimeout(() => {
-        if (gameState.pigs.length === 0) levelComplete();
-        else if (gameState.birdsLeft <= 0) gameOver();
-        else spawnBird();
-    }, 500);
+function loadLevelFromFile(file) {
+    return file.text()
+        .then(text => importLevel(text, file.name))
+        .catch(error => {
+            showLevelError(file.name, `读取文件失败: ${error.message}`);
+            return false;
+        });
+}
+
+/**
+ * 从相对 URL 加载关卡(需要通过本地服务器访问页面)
+ * @param {string} url - 关卡 JSON 地址，如 levels/example.json
+ * @returns {Promise<boolean>} 是否导入成功
+ */
+function loadLevelFromUrl(url) {
+    return fetch(url)
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.text();
+        })
+        .then(text => importLevel(text, url))
+        .catch(error => {
+            showLevelError(url, `下载失败: ${error.message}`);
+            return false;
+        });
 }
 
 /**
- * 检测两个圆形物体碰撞
- * @param {Object} c1 - 圆形物体1 {x, y, radius}
- * @param {Object} c2 - 圆形物体2 {x, y, radius}
- * @returns {boolean} 是否发生碰撞
+ * 解析校验关卡 JSON：单个关卡立即开始游玩，关卡包加入选关界面
+ * @param {string} text - JSON 文本
+ * @param {string} source - 来源(文件名或URL)，用于错误提示
+ * @returns {boolean} 是否导入成功
  */
-function checkCircleCollision(c1, c2) {
-    const dx = c1.x - c2.x, dy = c1.y - c2.y;
-    return Math.sqrt(dx * dx + dy * dy) < c1.radius + c2.radius;
+function importLevel(text, source) {
+    let parsed;
+    try {
+        parsed = parseLevelFile(text);
+    } catch (error) {
+        showLevelError(source, error.message);
+        return false;
+    }
+    elements.levelError.classList.add('hidden');
+    if (parsed.pack) {
+        const pack = addLevelPack(parsed.pack, source);
+        showLevelSelect();
+        elements.gestureText.textContent = `已载入关卡包: ${pack.name}`;
+        return true;
+    }
+    const level = parsed.level;
+    gameState.customLevel = level;
+    restartGame();
+    elements.gestureText.textContent = `已载入关卡: ${level.name || source}`;
+    return true;
 }
 
 /**
- * 检测圆形与矩形碰撞
- * @param {Object} circle - 圆形物体 {x, y, radius}
- * @param {Object} rect - 矩形物体 {x, y, width, height}
- * @returns {boolean} 是否发生碰撞
+ * 显示关卡导入错误
+ * @param {string} source - 来源(文件名或URL)
+ * @param {string} message - 错误信息，多条用换行分隔
  */
-function checkCircleRectCollision(circle, rect) {
-    const closestX = Math.max(rect.x - rect.width / 2, Math.min(circle.x, rect.x + rect.width / 2));
-    const closestY = Math.max(rect.y - rect.height / 2, Math.min(circle.y, rect.y + rect.height / 2));
-    const dx = circle.x - closestX, dy = circle.y - closestY;
-    return (dx * dx + dy * dy) < (circle.radius * circle.radius);
+function showLevelError(source, message) {
+    console.error(`关卡导入失败 (${source}):`, message);
+    elements.levelErrorSource.textContent = source;
+    elements.levelErrorList.textContent = message;
+    elements.levelError.classList.remove('hidden');
+}
+
+/**
+ * 生成新小鸟
+ * 在弹弓位置放上待发射的小鸟，重置发射状态
+ */
+function spawnBird() {
+    gameState.world.spawnBird();
+    resetLaunchState();
+}
+
+/**
+ * 重置瞄准和发射相关的界面状态
+ */
+function resetLaunchState() {
+    gameState.canLaunch = true;
+    gameState.isPulling = false;
+    gameState.pullSource = null;
+    gameState.trackingLostAt = null;
+    gameState.releaseFrames = 0;
+    gameState.pullStart = null;
+    gameState.pullEnd = null;
+    gameState.launchVelocity = { x: 0, y: 0 };
+    gameState.trajectory = [];
+    elements.powerFill.style.width = '0%';
+    elements.powerValue.textContent = '0%';
 }
 
 /**
@@ -1215,6 +875,159 @@ function createParticles(x, y, color, count) {
     }
 }
 
+/**
+ * 更新粒子特效位置和寿命
+ */
+function updateParticles() {
+    gameState.particles = gameState.particles.filter(p => {
+        p.x += p.vx;
+        p.y += p.vy;
+        p.vy += 0.2;
+        p.life--;
+        return p.life > 0;
+    });
+}
+
+/**
+ * 处理模拟世界产生的事件：受击和摧毁时生成粒子、刷新分数，
+ * 小鸟停下后稍等片刻再判定过关、失败或换下一只
+ * @param {Array} events - GameWorld.drainEvents() 返回的事件
+ */
+function handleWorldEvents(events) {
+    events.forEach(event => {
+        switch (event.type) {
+            case 'pigHit':
+                createParticles(event.x, event.y, '#00ff00', 10);
+                break;
+            case 'pigDestroyed':
+                createParticles(event.x, event.y, '#00ff00', 20);
+                createScorePopup(event.x, event.y, event.points, event.combo, '#00ff88');
+                break;
+            case 'blockHit':
+                createParticles(event.x, event.y, getDebrisColor(event.material), 5);
+                break;
+            case 'blockDestroyed':
+                createParticles(event.x, event.y, getDebrisColor(event.material), 15);
+                createScorePopup(event.x, event.y, event.points, event.combo, '#f7c948');
+                break;
+            case 'ability':
+                createParticles(event.x, event.y, '#ffffff', 12);
+                AudioController.playAbility();
+                break;
+            case 'explosion':
+                createParticles(event.x, event.y, '#ff6b35', 30);
+                createParticles(event.x, event.y, '#f7c948', 20);
+                AudioController.playExplosion();
+                break;
+            case 'birdStopped':
+                onBirdStopped();
+                break;
+        }
+    });
+}
+
+function getDebrisColor(material) {
+    return getMaterial(material).particle;
+}
+
+// ============== 得分反馈 ==============
+
+// 得分飘字持续的固定步数
+const SCORE_POPUP_LIFE = 60;
+
+/**
+ * 在被摧毁的物体处生成向上飘的得分数字，连击时附带倍率
+ * @param {number} x - 物体X坐标
+ * @param {number} y - 物体Y坐标
+ * @param {number} points - 得分
+ * @param {number} combo - 连击倍率
+ * @param {string} color - 文字颜色
+ */
+function createScorePopup(x, y, points, combo, color) {
+    gameState.scorePopups.push({
+        x, y, color,
+        text: `+${points}`,
+        comboText: combo > 1 ? `连击 ×${combo}` : '',
+        life: SCORE_POPUP_LIFE
+    });
+}
+
+function updateScorePopups() {
+    gameState.scorePopups = gameState.scorePopups.filter(popup => {
+        popup.y -= 1;
+        popup.life--;
+        return popup.life > 0;
+    });
+}
+
+function drawScorePopup(popup) {
+    ctx.globalAlpha = Math.min(1, popup.life / (SCORE_POPUP_LIFE / 2));
+    ctx.font = 'bold 22px "Courier New", monospace';
+    ctx.textAlign = 'center';
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.strokeText(popup.text, popup.x, popup.y);
+    ctx.fillStyle = popup.color;
+    ctx.fillText(popup.text, popup.x, popup.y);
+    if (popup.comboText) {
+        ctx.font = 'bold 14px "Courier New", monospace';
+        ctx.strokeText(popup.comboText, popup.x, popup.y + 18);
+        ctx.fillStyle = '#ff6b35';
+        ctx.fillText(popup.comboText, popup.x, popup.y + 18);
+    }
+    ctx.globalAlpha = 1;
+}
+
+/**
+ * #score 向当前分数滚动，每步追上差值的一部分，不会直接跳变
+ */
+function updateScoreDisplay() {
+    const target = gameState.world.score;
+    if (gameState.displayedScore === target) return;
+    const diff = target - gameState.displayedScore;
+    gameState.displayedScore += Math.sign(diff) * Math.max(1, Math.ceil(Math.abs(diff) * 0.12));
+    if (Math.sign(target - gameState.displayedScore) !== Math.sign(diff)) gameState.displayedScore = target;
+    elements.scoreDisplay.textContent = gameState.displayedScore;
+}
+
+/**
+ * 每一发结束时在 HUD 下方显示本发得分、摧毁数和最高连击
+ * @param {Object} summary - GameWorld.getShotSummary() 的结果
+ */
+function showShotSummary(summary) {
+    if (summary.points === 0) return;
+    let text = `本发 +${summary.points}`;
+    if (summary.kills > 0) text += ` · 摧毁 ${summary.kills}`;
+    if (summary.maxCombo > 1) text += ` · 最高连击 ×${summary.maxCombo}`;
+    elements.shotSummary.textContent = text;
+    // 重新触发淡入淡出动画
+    elements.shotSummary.classList.remove('show');
+    void elements.shotSummary.offsetWidth;
+    elements.shotSummary.classList.add('show');
+}
+
+/**
+ * 小鸟停止移动回调
+ * 检查游戏状态：消灭所有猪则过关，小鸟用完则失败，否则生成新小鸟
+ */
+function onBirdStopped() {
+    gameState.birdStoppedTimer = setTimeout(() => {
+        gameState.birdStoppedTimer = null;
+        // 暂停或打开选关界面期间不结算，回来后再判断
+        if (gameState.isPaused || levelSelectState.isOpen) {
+            onBirdStopped();
+            return;
+        }
+        // 等待期间可能已因失败条件结束
+        if (!gameState.isPlaying) return;
+        showShotSummary(gameState.world.getShotSummary());
+        const outcome = gameState.world.getOutcome();
+        if (outcome === 'complete') levelComplete();
+        else if (outcome === 'failed') gameOver();
+        else spawnBird();
+    }, 500);
+}
+
 /**
  * 关卡完成处理
  * 计算星级评分，显示胜利弹窗
@@ -1222,22 +1035,92 @@ function createParticles(x, y, color, count) {
 function levelComplete() {
     gameState.isPlaying = false;
     gameState.levelPassed = true;
-    const levelIndex = (gameState.level - 1) % LEVEL_DEFINITIONS.length;
-    const totalBirds = LEVEL_DEFINITIONS[levelIndex].birds || 5;
-    const usedBirds = totalBirds - gameState.birdsLeft;
-    
-    let stars = usedBirds <= Math.ceil(totalBirds * 0.3) ? 3 :
-                usedBirds <= Math.ceil(totalBirds * 0.6) ? 2 : 1;
+    const tally = gameState.world.applyLevelBonus();
+    const stars = gameState.world.getStars();
+    if (!gameState.customLevel) {
+        const newStars = recordLevelStars(gameState.progress, gameState.pack, gameState.level, stars);
+        const newScore = recordLevelScore(gameState.progress, gameState.pack, gameState.level, gameState.world.score);
+        if (newStars || newScore) writeSave();
+    }
     
     elements.modalTitle.textContent = 'LEVEL COMPLETE!';
-    elements.modalScore.textContent = gameState.score;
-    elements.modalStars.querySelectorAll('.star').forEach((star, i) => {
-        star.classList.toggle('active', i < stars);
-    });
+    showScoreTally(tally, gameState.world.starThresholds);
+    submitLevelResult();
+    renderObjectives(elements.modalObjectives, gameState.world.evaluateObjectives());
+    clearModalFocus();
     elements.gameModal.classList.remove('hidden');
     elements.retryBtn.classList.remove('hidden');
     elements.modalNextBtn.classList.remove('hidden');
-    if (elements.modalHint) elements.modalHint.textContent = '按 Space 键进入下一关';
+    if (elements.modalHint) {
+        elements.modalHint.textContent = isLastLevelInPack() ? '按 Space 键返回地图' : '按 Space 键进入下一关，Shift+Space 返回地图';
+    }
+}
+
+// ============== 过关结算 ==============
+
+// 结算动画中每一项从 0 数到最终值的时长(毫秒)
+const TALLY_ROW_DURATION = 600;
+
+function setModalStars(stars) {
+    elements.modalStars.querySelectorAll('.star').forEach((star, i) => {
+        star.classList.toggle('active', i < stars);
+    });
+}
+
+/**
+ * 在结算弹窗中逐项累加得分：击中得分、剩余小鸟奖励、破坏率奖励，
+ * 总分越过分数线时点亮对应的星星
+ * @param {Object} tally - GameWorld.applyLevelBonus 返回的明细
+ * @param {Array} thresholds - [1星, 2星, 3星] 分数线
+ */
+function showScoreTally(tally, thresholds) {
+    const rows = [
+        { label: '击中得分', value: tally.baseScore },
+        { label: `剩余小鸟 ${tally.unusedBirds} × ${UNUSED_BIRD_BONUS}`, value: tally.birdBonus },
+        { label: `破坏率 ${Math.round(tally.destruction * 100)}%`, value: tally.destructionBonus }
+    ];
+    elements.modalTally.innerHTML = '';
+    const valueElements = rows.map(row => {
+        const line = document.createElement('div');
+        line.className = 'tally-row';
+        const label = document.createElement('span');
+        label.textContent = row.label;
+        const value = document.createElement('span');
+        value.className = 'tally-value';
+        value.textContent = '0';
+        line.appendChild(label);
+        line.appendChild(value);
+        elements.modalTally.appendChild(line);
+        return value;
+    });
+    elements.modalThresholds.textContent = thresholds.map((score, i) => `${'★'.repeat(i + 1)} ${score}`).join('   ');
+    elements.modalTally.classList.remove('hidden');
+    elements.modalThresholds.classList.remove('hidden');
+    
+    // 新的结算或离开弹窗时旧动画自动停止
+    const token = ++gameState.tallyToken;
+    const start = performance.now();
+    const animate = (now) => {
+        if (token !== gameState.tallyToken) return;
+        const elapsed = now - start;
+        let running = 0;
+        rows.forEach((row, i) => {
+            const progress = Math.max(0, Math.min(1, (elapsed - i * TALLY_ROW_DURATION) / TALLY_ROW_DURATION));
+            const shown = Math.round(row.value * progress);
+            valueElements[i].textContent = shown;
+            running += shown;
+        });
+        elements.modalScore.textContent = running;
+        setModalStars(gameState.world.getStars(running));
+        if (elapsed < rows.length * TALLY_ROW_DURATION) requestAnimationFrame(animate);
+    };
+    requestAnimationFrame(animate);
+}
+
+function hideScoreTally() {
+    gameState.tallyToken++;
+    elements.modalTally.classList.add('hidden');
+    elements.modalThresholds.classList.add('hidden');
 }
 
 /**
@@ -1247,13 +1130,20 @@ function levelComplete() {
 function gameOver() {
     gameState.isPlaying = false;
     gameState.levelPassed = false;
+    // 超时失败时小鸟可能还在弹弓上
+    gameState.canLaunch = false;
+    gameState.isPulling = false;
     elements.modalTitle.textContent = 'GAME OVER';
-    elements.modalScore.textContent = gameState.score;
-    elements.modalStars.querySelectorAll('.star').forEach(star => star.classList.remove('active'));
+    elements.modalScore.textContent = gameState.world.score;
+    hideScoreTally();
+    hideLeaderboard();
+    setModalStars(0);
+    renderObjectives(elements.modalObjectives, gameState.world.evaluateObjectives());
+    clearModalFocus();
     elements.gameModal.classList.remove('hidden');
     elements.retryBtn.classList.remove('hidden');
     elements.modalNextBtn.classList.add('hidden');
-    if (elements.modalHint) elements.modalHint.textContent = '按 Space 键重试';
+    if (elements.modalHint) elements.modalHint.textContent = '按 Space 键重试，Shift+Space 返回地图';
 }
 
 function updateClouds() {
@@ -1307,35 +1197,88 @@ function drawClouds() {
     });
 }
 
+/**
+ * 记录物体在本步开始时的位置，供渲染插值使用
+ */
+function savePreviousPositions() {
+    const bodies = gameState.world.blocks.concat(gameState.world.pigs, gameState.world.flyingBirds);
+    bodies.forEach(body => {
+        body.prevX = body.x;
+        body.prevY = body.y;
+        body.prevAngle = body.angle;
+    });
+}
+
+/**
+ * 在上一步和当前步的位置之间插值，得到渲染用的物体
+ * @param {Object} body - 刚体或小鸟
+ * @param {number} alpha - 插值比例(0~1)，即累积器中剩余时间占一个步长的比例
+ * @returns {Object} 带插值位置的物体副本(尚未经过物理步的物体原样返回)
+ */
+function interpolateBody(body, alpha) {
+    if (body.prevX === undefined) return body;
+    return {
+        ...body,
+        x: body.prevX + (body.x - body.prevX) * alpha,
+        y: body.prevY + (body.y - body.prevY) * alpha,
+        angle: body.angle === undefined ? undefined : body.prevAngle + (body.angle - body.prevAngle) * alpha
+    };
+}
+
 /**
  * 渲染游戏画面
  * 绘制背景、云朵、弹弓、轨迹、木块、猪、小鸟和粒子
  */
-function render() {
+function render(alpha = 1) {
     ctx.clearRect(0, 0, elements.canvas.width, elements.canvas.height);
     drawBackground();
     drawClouds();
     drawSlingshot();
+    if (gameState.isEditing) {
+        drawEditor();
+        return;
+    }
     drawTrajectory();
-    gameState.blocks.forEach(drawBlock);
-    gameState.pigs.forEach(drawPig);
-    if (gameState.currentBird) drawBird(gameState.currentBird);
+    gameState.world.blocks.forEach(block => drawBlock(interpolateBody(block, alpha)));
+    gameState.world.pigs.forEach(pig => drawPig(interpolateBody(pig, alpha)));
+    const bird = gameState.world.bird;
+    if (bird && !bird.isLaunched) drawBird(bird);
+    gameState.world.flyingBirds.forEach(flying => drawBird(interpolateBody(flying, alpha)));
     gameState.particles.forEach(drawParticle);
-    if (gameState.isPulling && gameState.currentBird) drawPullLine();
+    gameState.scorePopups.forEach(drawScorePopup);
+    if (gameState.isPulling && gameState.world.bird) drawPullLine();
+    if (gameState.isPaused) drawPauseOverlay();
+}
+
+function drawPauseOverlay() {
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+    ctx.fillRect(0, 0, elements.canvas.width, elements.canvas.height);
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign = 'center';
+    ctx.font = 'bold 36px "Courier New", monospace';
+    ctx.fillText('PAUSED', elements.canvas.width / 2, elements.canvas.height / 2);
+    ctx.font = 'bold 14px "Courier New", monospace';
+    ctx.fillText('张开手掌、竖大拇指或按 Space 继续', elements.canvas.width / 2, elements.canvas.height / 2 + 40);
+    ctx.textAlign = 'left';
 }
 
 function drawBackground() {
+    // 关卡可以自定义天空和地面颜色
+    const background = gameState.world.background || {};
+    const sky = background.sky || ['#1a2a3a', '#2d4a5a', '#3d5a6a'];
+    const ground = background.ground || ['#4a7c59', '#2d5a3d'];
+    
     const skyGradient = ctx.createLinearGradient(0, 0, 0, elements.canvas.height);
-    skyGradient.addColorStop(0, '#1a2a3a');
-    skyGradient.addColorStop(0.7, '#2d4a5a');
-    skyGradient.addColorStop(1, '#3d5a6a');
+    skyGradient.addColorStop(0, sky[0]);
+    skyGradient.addColorStop(0.7, sky[1]);
+    skyGradient.addColorStop(1, sky[2]);
     ctx.fillStyle = skyGradient;
     ctx.fillRect(0, 0, elements.canvas.width, elements.canvas.height);
     
-    const groundY = elements.canvas.height * GROUND_Y_RATIO;
+    const groundY = gameState.world.groundY;
     const groundGradient = ctx.createLinearGradient(0, groundY, 0, elements.canvas.height);
-    groundGradient.addColorStop(0, '#4a7c59');
-    groundGradient.addColorStop(1, '#2d5a3d');
+    groundGradient.addColorStop(0, ground[0]);
+    groundGradient.addColorStop(1, ground[1]);
     ctx.fillStyle = groundGradient;
     ctx.fillRect(0, groundY, elements.canvas.width, elements.canvas.height - groundY);
     
@@ -1348,9 +1291,9 @@ function drawBackground() {
 }
 
 function drawSlingshot() {
-    const baseY = elements.canvas.height * GROUND_Y_RATIO;
-    const slingshotX = elements.canvas.width * SLINGSHOT_X_RATIO;
-    const slingshotY = elements.canvas.height * SLINGSHOT_Y_RATIO;
+    const baseY = gameState.world.groundY;
+    const slingshotX = gameState.world.slingshot.x;
+    const slingshotY = gameState.world.slingshot.y;
     
     ctx.strokeStyle = '#8B4513';
     ctx.lineWidth = 10;
@@ -1366,22 +1309,22 @@ function drawSlingshot() {
     ctx.lineTo(slingshotX + 18, slingshotY - 35);
     ctx.stroke();
     
-    if (gameState.isPulling && gameState.currentBird) {
+    if (gameState.isPulling && gameState.world.bird) {
         ctx.strokeStyle = '#654321';
         ctx.lineWidth = 5;
         ctx.beginPath();
         ctx.moveTo(slingshotX - 18, slingshotY - 35);
-        ctx.lineTo(gameState.currentBird.x, gameState.currentBird.y);
+        ctx.lineTo(gameState.world.bird.x, gameState.world.bird.y);
         ctx.stroke();
         ctx.beginPath();
         ctx.moveTo(slingshotX + 18, slingshotY - 35);
-        ctx.lineTo(gameState.currentBird.x, gameState.currentBird.y);
+        ctx.lineTo(gameState.world.bird.x, gameState.world.bird.y);
         ctx.stroke();
     }
 }
 
 function drawTrajectory() {
-    if (gameState.trajectory.length < 2) return;
+    if (!gameState.settings.trajectory || gameState.trajectory.length < 2) return;
     ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
     gameState.trajectory.forEach((point, i) => {
         ctx.globalAlpha = (1 - (i / gameState.trajectory.length)) * 0.5;
@@ -1393,7 +1336,12 @@ function drawTrajectory() {
 }
 
 function drawBird(bird) {
-    if (images.loaded && images.bird) {
+    if (bird.type === 'egg') {
+        drawEgg(bird);
+        return;
+    }
+    const sprite = images.birds[getBirdType(bird.type).sprite];
+    if (images.loaded && sprite && sprite.naturalWidth > 0) {
         // 使用素材图绘制小鸟，根据半径缩放
         const birdSize = bird.radius * 2.2;
         ctx.save();
@@ -1404,7 +1352,7 @@ function drawBird(bird) {
             ctx.translate(bird.x, bird.y);
             ctx.rotate(angle);
             ctx.drawImage(
-                images.bird,
+                sprite,
                 -birdSize / 2,
                 -birdSize / 2,
                 birdSize,
@@ -1412,7 +1360,7 @@ function drawBird(bird) {
             );
         } else {
             ctx.drawImage(
-                images.bird,
+                sprite,
                 bird.x - birdSize / 2,
                 bird.y - birdSize / 2,
                 birdSize,
@@ -1426,11 +1374,12 @@ function drawBird(bird) {
         ctx.beginPath();
         ctx.arc(bird.x, bird.y, bird.radius, 0, Math.PI * 2);
         const gradient = ctx.createRadialGradient(bird.x - 5, bird.y - 5, 0, bird.x, bird.y, bird.radius);
-        gradient.addColorStop(0, '#ff6666');
-        gradient.addColorStop(1, '#cc0000');
+        gradient.addColorStop(0, '#ffffff');
+        gradient.addColorStop(0.35, bird.color);
+        gradient.addColorStop(1, bird.color);
         ctx.fillStyle = gradient;
         ctx.fill();
-        ctx.strokeStyle = '#990000';
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
         ctx.lineWidth = 2;
         ctx.stroke();
         
@@ -1457,6 +1406,16 @@ function drawBird(bird) {
     }
 }
 
+function drawEgg(egg) {
+    ctx.fillStyle = egg.color;
+    ctx.strokeStyle = '#cccccc';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.ellipse(egg.x, egg.y, egg.radius * 0.8, egg.radius, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+}
+
 function drawPig(pig) {
     if (images.loaded && images.pig) {
         // 使用素材图绘制猪，根据半径缩放
@@ -1504,27 +1463,27 @@ function drawPig(pig) {
 }
 
 function drawBlock(block) {
-    const x = block.x - block.width / 2;
-    const y = block.y - block.height / 2;
-    
+    // 在木块局部坐标系中绘制，支持旋转
+    ctx.save();
+    ctx.translate(block.x, block.y);
+    ctx.rotate(block.angle || 0);
+    const x = -block.width / 2;
+    const y = -block.height / 2;
+    
+    const material = getMaterial(block.type);
     const gradient = ctx.createLinearGradient(x, y, x + block.width, y + block.height);
-    if (block.type === 'wood') {
-        gradient.addColorStop(0, '#DEB887');
-        gradient.addColorStop(0.5, '#D2691E');
-        gradient.addColorStop(1, '#8B4513');
-    } else {
-        gradient.addColorStop(0, '#A9A9A9');
-        gradient.addColorStop(0.5, '#808080');
-        gradient.addColorStop(1, '#696969');
-    }
+    gradient.addColorStop(0, material.fill[0]);
+    gradient.addColorStop(0.5, material.fill[1]);
+    gradient.addColorStop(1, material.fill[2]);
     ctx.fillStyle = gradient;
     ctx.fillRect(x, y, block.width, block.height);
+    drawBlockTexture(block, material.texture, x, y);
     
-    ctx.strokeStyle = block.type === 'wood' ? '#654321' : '#404040';
+    ctx.strokeStyle = material.stroke;
     ctx.lineWidth = 2;
     ctx.strokeRect(x, y, block.width, block.height);
     
-    const healthRatio = block.health / (block.type === 'stone' ? 100 : 50);
+    const healthRatio = block.health / block.maxHealth;
     if (healthRatio < 0.7) {
         ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
         ctx.lineWidth = 1;
@@ -1534,6 +1493,39 @@ function drawBlock(block) {
         ctx.lineTo(x + block.width * 0.7, y + block.height);
         ctx.stroke();
     }
+    ctx.restore();
+}
+
+/**
+ * 绘制材质表面纹理(在木块局部坐标系中)
+ * @param {Object} block - 木块
+ * @param {string} texture - 纹理名：none 无、shine 玻璃和冰的反光、tnt 炸药箱标记
+ * @param {number} x - 左上角X(局部坐标)
+ * @param {number} y - 左上角Y(局部坐标)
+ */
+function drawBlockTexture(block, texture, x, y) {
+    if (texture === 'shine') {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x + block.width * 0.2, y + block.height * 0.8);
+        ctx.lineTo(x + block.width * 0.45, y + block.height * 0.2);
+        ctx.stroke();
+    } else if (texture === 'tnt') {
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.35)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x + 3, y + 3, block.width - 6, block.height - 6);
+        const fontSize = Math.min(block.height * 0.6, block.width / 2.2);
+        if (fontSize >= 6) {
+            ctx.fillStyle = '#f7c948';
+            ctx.font = `bold ${Math.round(fontSize)}px monospace`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('TNT', 0, 0);
+            ctx.textAlign = 'start';
+            ctx.textBaseline = 'alphabetic';
+        }
+    }
 }
 
 function drawParticle(particle) {
@@ -1548,7 +1540,7 @@ function drawParticle(particle) {
 function drawPullLine() {
     if (!gameState.pullStart || !gameState.pullEnd) return;
     
-    const bird = gameState.currentBird;
+    const bird = gameState.world.bird;
     const dx = gameState.pullStart.x - gameState.pullEnd.x;
     const dy = gameState.pullStart.y - gameState.pullEnd.y;
     
@@ -1572,39 +1564,125 @@ function drawPullLine() {
     ctx.fill();
 }
 
+/**
+ * 把当前摄像头画面交给MediaPipe识别
+ * 不等待识别结果，上一帧还没识别完时跳过，识别慢不会拖慢游戏循环
+ */
+function sendFrameToHands() {
+    if (gameState.isHandsProcessing) return;
+    if (!gameState.isCameraActive || !gameState.hands || elements.camera.readyState < 2) return;
+    
+    gameState.isHandsProcessing = true;
+    gameState.hands.send({ image: elements.camera })
+        .catch(error => console.error('手势识别失败:', error))
+        .finally(() => { gameState.isHandsProcessing = false; });
+}
+
+/**
+ * 固定步长更新：云朵移动和物理模拟每步推进一次
+ */
+function fixedUpdate() {
+    savePreviousPositions();
+    updateClouds();
+    if (gameState.isPlaying && !gameState.isPaused) {
+        gameState.world.step();
+        handleWorldEvents(gameState.world.drainEvents());
+        updateObjectivesDisplay();
+        // 超时或被保护的物体被毁时立即失败，不等小鸟停下
+        if (gameState.world.getFailedObjective()) gameOver();
+    }
+    updateParticles();
+    updateScorePopups();
+    updateScoreDisplay();
+}
+
 /**
  * 游戏主循环
- * 每帧执行：手势识别、物理更新、画面渲染
+ * 每帧执行：手势识别、按实际经过时间推进若干个固定物理步、插值渲染
+ * @param {number} timestamp - requestAnimationFrame 提供的时间戳(毫秒)
  */
-async function gameLoop() {
+function gameLoop(timestamp) {
     if (gameState.isLoaded) {
-        if (gameState.isCameraActive && gameState.hands && elements.camera.readyState >= 2) {
-            await gameState.hands.send({ image: elements.camera });
+        sendFrameToHands();
+        pollInputProviders();
+        
+        if (gameState.lastFrameTime === null) gameState.lastFrameTime = timestamp;
+        gameState.frameAccumulator += Math.min(timestamp - gameState.lastFrameTime, MAX_FRAME_TIME);
+        gameState.lastFrameTime = timestamp;
+        
+        while (gameState.frameAccumulator >= FIXED_TIMESTEP) {
+            fixedUpdate();
+            gameState.frameAccumulator -= FIXED_TIMESTEP;
         }
-        updateClouds();
-        if (gameState.isPlaying) updatePhysics();
-        render();
+        render(gameState.frameAccumulator / FIXED_TIMESTEP);
     }
     requestAnimationFrame(gameLoop);
 }
 
 function restartGame() {
     elements.gameModal.classList.add('hidden');
-    gameState.score = 0;
-    const levelIndex = (gameState.level - 1) % LEVEL_DEFINITIONS.length;
-    gameState.birdsLeft = LEVEL_DEFINITIONS[levelIndex].birds || 5;
-    elements.scoreDisplay.textContent = '0';
-    updateBirdsDisplay(gameState.birdsLeft);
     loadLevel(gameState.level);
     gameState.isPlaying = true;
 }
 
+/**
+ * 暂停游戏：物理模拟停止推进，进行中的拉弓取消
+ */
+function pauseGame() {
+    if (!gameState.isPlaying || gameState.isPaused) return;
+    if (gameState.isPulling) cancelPull();
+    gameState.isPaused = true;
+    elements.gestureText.textContent = '已暂停';
+    elements.handIcon.textContent = '⏸';
+}
+
+function resumeGame() {
+    if (!gameState.isPaused) return;
+    gameState.isPaused = false;
+    elements.gestureText.textContent = '游戏继续';
+    elements.handIcon.textContent = '✋';
+}
+
+/**
+ * 弹窗中当前可见的按钮，手势左右挥手在它们之间移动选择
+ */
+function getModalButtons() {
+    return Array.from(elements.gameModal.querySelectorAll('.modal-btn')).filter(button => !button.classList.contains('hidden'));
+}
+
+function moveModalFocus(step) {
+    const buttons = getModalButtons();
+    if (buttons.length === 0) return;
+    const current = buttons.findIndex(button => button.classList.contains('gesture-focus'));
+    const next = current === -1 ? (step > 0 ? 0 : buttons.length - 1) : (current + step + buttons.length) % buttons.length;
+    buttons.forEach((button, i) => button.classList.toggle('gesture-focus', i === next));
+}
+
+function clearModalFocus() {
+    elements.gameModal.querySelectorAll('.gesture-focus').forEach(button => button.classList.remove('gesture-focus'));
+}
+
+/**
+ * 确认弹窗：点击选中的按钮，没有选中时与 Space 键相同(过关进入下一关，失败重试)
+ */
+function activateModalFocus() {
+    const focused = getModalButtons().find(button => button.classList.contains('gesture-focus'));
+    if (focused) focused.click();
+    else if (gameState.levelPassed) nextLevel();
+    else restartGame();
+}
+
 function nextLevel() {
     elements.gameModal.classList.add('hidden');
-    gameState.level++;
-    const levelIndex = (gameState.level - 1) % LEVEL_DEFINITIONS.length;
-    gameState.birdsLeft = LEVEL_DEFINITIONS[levelIndex].birds || 5;
-    updateBirdsDisplay(gameState.birdsLeft);
+    // 导入的关卡通关后回到关卡包，关卡包打完后回到地图
+    if (gameState.customLevel) {
+        gameState.customLevel = null;
+    } else if (isLastLevelInPack()) {
+        showLevelSelect();
+        return;
+    } else {
+        gameState.level++;
+    }
     loadLevel(gameState.level);
     gameState.isPlaying = true;
 }
@@ -1624,20 +1702,16 @@ async function init() {
     elements.nextBtn.addEventListener('click', nextLevel);
     elements.retryBtn.addEventListener('click', restartGame);
     elements.modalNextBtn.addEventListener('click', nextLevel);
+    initSave();
+    initLeaderboard();
+    initCalibration();
+    initLevelSelect();
+    initLevelImport();
+    initEditor();
+    initGestureCommands();
+    initInput();
     
-    // Space键支持
-    document.addEventListener('keydown', (e) => {
-        if (e.code === 'Space' && !elements.gameModal.classList.contains('hidden')) {
-            e.preventDefault();
-            if (gameState.levelPassed) {
-                nextLevel();
-            } else {
-                restartGame();
-            }
-        }
-    });
-    
-    gameLoop();
+    requestAnimationFrame(gameLoop);
     await initCamera();
 }
 
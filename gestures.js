@@ -0,0 +1,245 @@
+/**
+ * Angry Birds - 手势指令
+ *
+ * 在 21 个手部关键点上识别捏合以外的手势：张开手掌保持(暂停/继续)、握拳(重新开始)、
+ * 竖大拇指(确认/下一关)和左右挥手(在菜单中移动选择)。张开手掌也是两次捏合之间手的自然姿势，
+ * 所以要保持 1.5 秒才暂停，拉弓时不识别。静态手势要保持一段时间才触发，
+ * 触发后有冷却时间，并且要先换成别的手势才能再次触发
+ * 识别部分不依赖浏览器，Node 中可直接 require；指令的执行依赖 game.js 和 worldmap.js
+ */
+
+// 关键点序号
+const HAND_WRIST = 0;
+const HAND_THUMB_MCP = 2;
+const HAND_THUMB_TIP = 4;
+const HAND_INDEX_MCP = 5;
+const HAND_MIDDLE_MCP = 9;
+// 食指、中指、无名指、小指的第二关节和指尖
+const HAND_FINGERS = [
+    { pip: 6, tip: 8 },
+    { pip: 10, tip: 12 },
+    { pip: 14, tip: 16 },
+    { pip: 18, tip: 20 }
+];
+
+// 静态手势：需要保持的时长(毫秒)和显示的图标、名称
+const GESTURE_POSES = {
+    openPalm: { hold: 1500, icon: '🖐', name: '张开手掌' },
+    fist: { hold: 800, icon: '✊', name: '握拳' },
+    thumbsUp: { hold: 600, icon: '👍', name: '竖大拇指' }
+};
+const GESTURE_SWIPES = {
+    swipeLeft: { icon: '👈', name: '向左挥手' },
+    swipeRight: { icon: '👉', name: '向右挥手' }
+};
+// 任一指令触发后的冷却时间(毫秒)
+const GESTURE_COOLDOWN = 1000;
+// 挥手：在这段时间(毫秒)内手掌水平移动超过这个距离(归一化)，且竖直移动不到水平的一半
+const SWIPE_WINDOW = 400;
+const SWIPE_MIN_DISTANCE = 0.25;
+
+function landmarkDistance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * 判断静态手势。手指是否伸直看指尖是否比第二关节离手腕更远，与手的朝向和远近无关
+ * @param {Array} hand - 21 个手部关键点
+ * @returns {string|null} openPalm、fist、thumbsUp，都不是时为 null
+ */
+function classifyHandPose(hand) {
+    const wrist = hand[HAND_WRIST];
+    const scale = landmarkDistance(wrist, hand[HAND_MIDDLE_MCP]);
+    if (!(scale > 0)) return null;
+    const thumbTip = hand[HAND_THUMB_TIP];
+    const extended = HAND_FINGERS.every(f => landmarkDistance(hand[f.tip], wrist) > landmarkDistance(hand[f.pip], wrist) * 1.1);
+    const curled = HAND_FINGERS.every(f => landmarkDistance(hand[f.tip], wrist) < landmarkDistance(hand[f.pip], wrist));
+    const thumbOut = landmarkDistance(thumbTip, hand[HAND_INDEX_MCP]) > scale * 0.6;
+    
+    // 张开手掌要求拇指和食指分开，不会和捏合混淆
+    if (extended && thumbOut && landmarkDistance(thumbTip, hand[HAND_FINGERS[0].tip]) > scale * 0.5) return 'openPalm';
+    if (!curled) return null;
+    // 其余手指蜷起、拇指和食指指尖捏在一起是捏合，不算握拳
+    if (landmarkDistance(thumbTip, hand[HAND_FINGERS[0].tip]) < scale * 0.3) return null;
+    const thumbUp = thumbTip.y < hand[HAND_THUMB_MCP].y - scale * 0.4 &&
+        HAND_FINGERS.every(f => thumbTip.y < hand[f.tip].y);
+    if (thumbOut && thumbUp) return 'thumbsUp';
+    if (!thumbOut) return 'fist';
+    return null;
+}
+
+/**
+ * 手势指令识别器：每帧输入一只手，手势保持够久或挥手时返回一次指令
+ */
+class GestureRecognizer {
+    constructor() {
+        this.reset();
+    }
+    
+    reset() {
+        this.pose = null;
+        this.poseSince = 0;
+        // 当前手势是否已经触发过，换成别的手势后才能再次触发
+        this.fired = false;
+        this.cooldownUntil = 0;
+        // 最近 SWIPE_WINDOW 内的手掌位置 [{x, y, time}]，x 已镜像
+        this.track = [];
+    }
+    
+    /**
+     * @param {Array|null} hand - 手部关键点，没有手时为 null
+     * @param {number} time - 当前时间(毫秒)
+     * @returns {string|null} 触发的指令：openPalm、fist、thumbsUp、swipeLeft、swipeRight
+     */
+    update(hand, time) {
+        const pose = hand ? classifyHandPose(hand) : null;
+        if (pose !== this.pose) {
+            this.pose = pose;
+            this.poseSince = time;
+            this.fired = false;
+        }
+        
+        if (hand) {
+            const palm = hand[HAND_MIDDLE_MCP];
+            this.track.push({ x: 1 - palm.x, y: palm.y, time });
+            this.track = this.track.filter(point => time - point.time <= SWIPE_WINDOW);
+        } else {
+            this.track = [];
+        }
+        if (time < this.cooldownUntil) return null;
+        
+        const swipe = this.detectSwipe();
+        if (swipe) {
+            this.track = [];
+            // 挥手时手掌一般是张开的，挥完不应接着触发暂停
+            this.fired = true;
+            this.cooldownUntil = time + GESTURE_COOLDOWN;
+            return swipe;
+        }
+        if (pose && !this.fired && time - this.poseSince >= GESTURE_POSES[pose].hold) {
+            this.fired = true;
+            this.cooldownUntil = time + GESTURE_COOLDOWN;
+            return pose;
+        }
+        return null;
+    }
+    
+    detectSwipe() {
+        if (this.track.length < 2) return null;
+        const first = this.track[0], last = this.track[this.track.length - 1];
+        const dx = last.x - first.x, dy = last.y - first.y;
+        if (Math.abs(dx) < SWIPE_MIN_DISTANCE || Math.abs(dy) > Math.abs(dx) / 2) return null;
+        return dx < 0 ? 'swipeLeft' : 'swipeRight';
+    }
+    
+    /**
+     * 正在保持、还没触发的静态手势及其进度，用于界面反馈
+     * @returns {Object|null} { pose, progress }，progress 为 0~1
+     */
+    getPending(time) {
+        if (!this.pose || this.fired) return null;
+        return { pose: this.pose, progress: Math.min(1, (time - this.poseSince) / GESTURE_POSES[this.pose].hold) };
+    }
+}
+
+// ============== 指令执行 ==============
+
+// 指令触发后反馈文字保留的时长(毫秒)
+const GESTURE_FEEDBACK_DURATION = 1500;
+
+const gestureCommandState = {
+    recognizer: new GestureRecognizer(),
+    // 最近一次触发的指令反馈 { text, until }
+    feedback: null
+};
+
+let gestureElements = null;
+
+function initGestureCommands() {
+    gestureElements = {
+        panel: document.getElementById('gesture-command'),
+        text: document.getElementById('gesture-command-text'),
+        fill: document.getElementById('gesture-command-fill')
+    };
+}
+
+/**
+ * 当前界面下各手势对应的操作，没有列出的手势在这个界面不起作用
+ * @returns {Object} { 指令: { label, run } }
+ */
+function getGestureActions() {
+    if (levelSelectState.isOpen) {
+        return {
+            swipeLeft: { label: '上一关', run: () => moveLevelSelectFocus(-1) },
+            swipeRight: { label: '下一关', run: () => moveLevelSelectFocus(1) },
+            thumbsUp: { label: '开始关卡', run: startFocusedLevel },
+            fist: { label: '返回', run: hideLevelSelect }
+        };
+    }
+    if (!elements.gameModal.classList.contains('hidden')) {
+        return {
+            swipeLeft: { label: '上一个按钮', run: () => moveModalFocus(-1) },
+            swipeRight: { label: '下一个按钮', run: () => moveModalFocus(1) },
+            thumbsUp: { label: gameState.levelPassed ? '确认/下一关' : '确认/重试', run: activateModalFocus },
+            fist: { label: '重新开始', run: restartGame }
+        };
+    }
+    if (gameState.isPaused) {
+        return {
+            openPalm: { label: '继续', run: resumeGame },
+            thumbsUp: { label: '继续', run: resumeGame },
+            fist: { label: '重新开始', run: restartGame }
+        };
+    }
+    if (gameState.isPlaying) {
+        return {
+            openPalm: { label: '暂停', run: pauseGame },
+            fist: { label: '重新开始', run: restartGame }
+        };
+    }
+    return {};
+}
+
+/**
+ * 用一帧手部数据驱动手势指令：触发时执行当前界面对应的操作，并在 #gesture-status 中显示进度和结果
+ * @param {Array|null} hand - 识别指令用的手，没有手或正在拉弓时为 null
+ * @returns {boolean} 是否正在保持一个在当前界面有效的静态手势(此时不开始捏合瞄准)
+ */
+function updateGestureCommands(hand) {
+    const now = Date.now();
+    const recognizer = gestureCommandState.recognizer;
+    const command = recognizer.update(hand, now);
+    const actions = getGestureActions();
+    
+    if (command && actions[command]) {
+        const info = GESTURE_POSES[command] || GESTURE_SWIPES[command];
+        gestureCommandState.feedback = { text: `${info.icon} ${actions[command].label}`, until: now + GESTURE_FEEDBACK_DURATION };
+        actions[command].run();
+    }
+    
+    const pending = recognizer.getPending(now);
+    const feedback = gestureCommandState.feedback;
+    if (feedback && now < feedback.until) {
+        showGestureFeedback(feedback.text, 1);
+    } else if (pending && actions[pending.pose]) {
+        const info = GESTURE_POSES[pending.pose];
+        showGestureFeedback(`${info.icon} ${info.name} → ${actions[pending.pose].label}`, pending.progress);
+    } else {
+        gestureElements.panel.classList.add('hidden');
+    }
+    return Boolean(recognizer.pose && actions[recognizer.pose]);
+}
+
+function showGestureFeedback(text, progress) {
+    gestureElements.panel.classList.remove('hidden');
+    gestureElements.text.textContent = text;
+    gestureElements.fill.style.width = `${Math.round(progress * 100)}%`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GESTURE_POSES,
+        classifyHandPose,
+        GestureRecognizer
+    };
+}
@@ -0,0 +1,454 @@
+/**
+ * Angry Birds - 输入提供者
+ *
+ * 手势、触控、鼠标、键盘和手柄都是输入提供者，只负责把各自的原始输入转成统一事件：
+ *   grab    { x, y }  在画布坐标 (x, y) 抓住小鸟开始拉弓
+ *   move    { x, y }  拉弓中移动到 (x, y)
+ *   release           松手，瞄准够久就发射
+ *   cancel            取消拉弓，小鸟回到弹弓
+ *   ability           释放飞行中小鸟的技能
+ * 拉弓、瞄准时长和发射只由这里的瞄准状态机处理。多个提供者可以同时启用，
+ * 同一时间只有抓住小鸟的那个提供者能移动和松手
+ * 依赖 game.js 的 gameState、elements 和发射相关函数
+ */
+
+// 触控/鼠标按下点离小鸟多近(像素)才算抓住小鸟
+const POINTER_GRAB_RADIUS = 80;
+// 手柄摇杆死区，小于这个偏移视为回中
+const GAMEPAD_DEAD_ZONE = 0.15;
+// 标准手柄布局中的按钮序号
+const GAMEPAD_BUTTON_GRAB = 0;
+const GAMEPAD_BUTTON_CANCEL = 1;
+
+const inputState = {
+    // 已启用的输入提供者
+    providers: []
+};
+
+/**
+ * 启用一个输入提供者
+ * 提供者需要有 id 和 attach(emit) / detach()，每帧需要轮询的提供者(如手柄)再实现 poll()
+ * @param {Object} provider - 输入提供者
+ * @returns {Object} 传入的提供者
+ */
+function addInputProvider(provider) {
+    removeInputProvider(provider.id);
+    inputState.providers.push(provider);
+    provider.attach(event => emitInput({ ...event, source: provider.id }));
+    return provider;
+}
+
+function removeInputProvider(id) {
+    const provider = getInputProvider(id);
+    if (!provider) return;
+    if (isPullOwner(id)) cancelPull();
+    provider.detach();
+    inputState.providers = inputState.providers.filter(p => p !== provider);
+}
+
+function getInputProvider(id) {
+    return inputState.providers.find(provider => provider.id === id) || null;
+}
+
+/**
+ * 每帧轮询需要主动读取状态的提供者
+ */
+function pollInputProviders() {
+    inputState.providers.forEach(provider => {
+        if (provider.poll) provider.poll();
+    });
+}
+
+/**
+ * 启用内置的输入提供者
+ */
+function initInput() {
+    addInputProvider(new HandInputProvider());
+    addInputProvider(new PointerInputProvider(elements.canvas, 'touch'));
+    addInputProvider(new PointerInputProvider(elements.canvas, 'mouse'));
+    addInputProvider(new KeyboardInputProvider());
+    addInputProvider(new GamepadInputProvider());
+}
+
+// ============== 瞄准状态机 ==============
+
+/**
+ * 当前的拉弓是否由这个提供者发起
+ * @param {string} id - 提供者 id
+ * @returns {boolean}
+ */
+function isPullOwner(id) {
+    return gameState.isPulling && gameState.pullSource === id;
+}
+
+/**
+ * 处理一个输入事件，编辑关卡时忽略所有输入
+ * @param {Object} event - { type, source, x, y }
+ * @returns {boolean} 事件是否生效(抓住了小鸟、释放了技能等)
+ */
+function emitInput(event) {
+    if (gameState.isEditing) return false;
+    switch (event.type) {
+        case 'ability':
+            return triggerAbility();
+        case 'grab':
+            return startPull(event.source, event.x, event.y);
+        case 'move':
+            if (!isPullOwner(event.source)) return false;
+            gameState.pullEnd = { x: event.x, y: event.y };
+            updatePullForce();
+            return true;
+        case 'release':
+            if (!isPullOwner(event.source)) return false;
+            releasePull();
+            return true;
+        case 'cancel':
+            if (!isPullOwner(event.source)) return false;
+            cancelPull();
+            return true;
+        default:
+            return false;
+    }
+}
+
+/**
+ * 开始拉弓：小鸟在弹弓上、没有暂停并且没有别的提供者正在拉弓时才生效
+ */
+function startPull(source, x, y) {
+    if (gameState.isPulling || gameState.isPaused) return false;
+    if (!gameState.canLaunch || !gameState.world.bird) return false;
+    gameState.isPulling = true;
+    gameState.pullSource = source;
+    gameState.pullStart = { x, y };
+    gameState.pullEnd = { x, y };
+    gameState.pullStartTime = Date.now();
+    AudioController.playPull();
+    updatePullForce();
+    return true;
+}
+
+/**
+ * 松手：瞄准至少 minPullDuration 毫秒才发射，否则取消这次拉弓
+ */
+function releasePull() {
+    if (gameState.canLaunch && Date.now() - gameState.pullStartTime >= gameState.minPullDuration) {
+        launchBird();
+        return;
+    }
+    if (gameState.canLaunch) elements.gestureText.textContent = '瞄准时间不足，请重试';
+    cancelPull();
+}
+
+/**
+ * 取消当前拉弓，小鸟回到弹弓上
+ */
+function cancelPull() {
+    gameState.isPulling = false;
+    gameState.pullSource = null;
+    gameState.pullStartTime = null;
+    gameState.trajectory = [];
+    resetBirdPosition();
+}
+
+// ============== 手势 ==============
+
+/**
+ * 手势提供者：捏合抓住小鸟，保持捏合移动瞄准，松开手指发射；发射后先松开再捏合(第二次捏合)释放技能。
+ * 由 onHandsResults 每帧传入操作手，阈值和画面映射来自当前档案的手势校准(见 calibration.js)
+ */
+class HandInputProvider {
+    constructor() {
+        this.id = 'hand';
+        this.emit = null;
+    }
+    
+    attach(emit) {
+        this.emit = emit;
+    }
+    
+    detach() {
+        this.emit = null;
+    }
+    
+    /**
+     * 处理一帧操作手：计算拇指和食指距离判断捏合，捏合后距离超过松开阈值才算松开
+     * @param {Array} hand - 手部关键点数组
+     */
+    update(hand) {
+        const thumb = hand[4], index = hand[8];
+        const distance = getPinchDistance(hand);
+        
+        gameState.pinchDistance = distance;
+        gameState.handCenter = mapHandToCanvas(
+            1 - ((thumb.x + index.x) / 2), (thumb.y + index.y) / 2,
+            gameState.calibration, elements.canvas.width, elements.canvas.height
+        );
+        
+        const thresholds = getPinchThresholds(gameState.calibration);
+        const wasPinching = gameState.isPinching;
+        const isNowPinching = distance < (wasPinching ? thresholds.release : thresholds.pinch);
+        
+        if (gameState.needsHandReset) {
+            if (!isNowPinching) {
+                gameState.needsHandReset = false;
+                elements.gestureText.textContent = '手势已重置，请捏合';
+            } else {
+                elements.gestureText.textContent = '请先松开手指重置手势';
+                elements.handIcon.textContent = '✋';
+                return;
+            }
+        }
+        
+        // 拉弓中的松手要连续确认几帧，防止单帧误判直接发射
+        if (wasPinching && !isNowPinching && isPullOwner(this.id) && ++gameState.releaseFrames < gameState.releaseConfirmFrames) return;
+        gameState.releaseFrames = 0;
+        
+        gameState.isPinching = isNowPinching;
+        
+        if (isNowPinching && !wasPinching && this.emit({ type: 'ability' })) return;
+        
+        const center = gameState.handCenter;
+        if (isNowPinching) {
+            elements.gestureText.textContent = '捏合中 - 拉动发射！';
+            elements.handIcon.textContent = '🤏';
+            if (isPullOwner(this.id)) this.emit({ type: 'move', x: center.x, y: center.y });
+            else this.emit({ type: 'grab', x: center.x, y: center.y });
+        } else {
+            elements.gestureText.textContent = isBirdAbilityReady() ? '再次捏合释放技能' : '张开手指瞄准';
+            elements.handIcon.textContent = '✋';
+            this.emit({ type: wasPinching ? 'release' : 'cancel' });
+        }
+    }
+    
+    /**
+     * 保持着指令手势时代替 update：不瞄准也不发射，只看手指是否张开。
+     * 张开就算完成了发射后的手势重置，之后的第一次捏合可以释放技能
+     * @param {Array} hand - 手部关键点数组
+     */
+    observe(hand) {
+        const distance = getPinchDistance(hand);
+        gameState.pinchDistance = distance;
+        gameState.isPinching = false;
+        gameState.releaseFrames = 0;
+        if (distance >= getPinchThresholds(gameState.calibration).release) gameState.needsHandReset = false;
+    }
+    
+    /**
+     * 拉弓时操作手丢失(没检测到或置信度过低)：宽限期内保持拉弓状态等待追踪恢复，
+     * 超时后取消这次拉弓，需要松开手指再重新捏合。取消的提示保留到操作手重新出现
+     * @returns {boolean} 是否由这里处理了本帧(保持拉弓或显示取消提示)
+     */
+    holdWhileLost() {
+        if (!isPullOwner(this.id)) return gameState.trackingLostAt !== null;
+        if (gameState.trackingLostAt === null) gameState.trackingLostAt = Date.now();
+        if (Date.now() - gameState.trackingLostAt < gameState.trackingGracePeriod) {
+            elements.gestureText.textContent = '手势丢失，请保持姿势...';
+            elements.handIcon.textContent = '⏳';
+            return true;
+        }
+        this.emit({ type: 'cancel' });
+        gameState.isPinching = false;
+        gameState.releaseFrames = 0;
+        gameState.needsHandReset = true;
+        elements.gestureText.textContent = '手势追踪丢失，已取消发射';
+        elements.handIcon.textContent = '✋';
+        return true;
+    }
+}
+
+// ============== 触控和鼠标 ==============
+
+/**
+ * 触控/鼠标提供者：在小鸟附近按下抓住小鸟，拖动瞄准，抬起发射；小鸟飞行中点击任意位置释放技能
+ */
+class PointerInputProvider {
+    /**
+     * @param {HTMLCanvasElement} canvas - 游戏画布
+     * @param {string} kind - 'touch' 或 'mouse'
+     */
+    constructor(canvas, kind) {
+        this.id = kind;
+        this.canvas = canvas;
+        this.emit = null;
+        // 本提供者是否正在拖动
+        this.isDragging = false;
+        const end = e => this.onEnd(e);
+        this.listeners = kind === 'touch'
+            ? { touchstart: e => this.onStart(e, e.touches[0]), touchmove: e => this.onMove(e, e.touches[0]), touchend: end, touchcancel: end }
+            : { mousedown: e => this.onStart(e, e), mousemove: e => this.onMove(e, e), mouseup: end, mouseleave: end };
+    }
+    
+    attach(emit) {
+        this.emit = emit;
+        // 触控事件要阻止默认行为，不能是 passive 监听
+        Object.entries(this.listeners).forEach(([type, listener]) => {
+            this.canvas.addEventListener(type, listener, { passive: false });
+        });
+    }
+    
+    detach() {
+        Object.entries(this.listeners).forEach(([type, listener]) => {
+            this.canvas.removeEventListener(type, listener, { passive: false });
+        });
+        this.emit = null;
+        this.isDragging = false;
+    }
+    
+    getCanvasPoint(point) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: point.clientX - rect.left, y: point.clientY - rect.top };
+    }
+    
+    onStart(e, point) {
+        if (this.id === 'touch') e.preventDefault();
+        // 小鸟飞行中点击屏幕任意位置触发技能
+        if (this.emit({ type: 'ability' })) return;
+        const bird = gameState.world.bird;
+        if (!bird || !point) return;
+        
+        const { x, y } = this.getCanvasPoint(point);
+        if (Math.hypot(x - bird.x, y - bird.y) >= POINTER_GRAB_RADIUS) return;
+        if (this.emit({ type: 'grab', x, y })) {
+            this.isDragging = true;
+            elements.gestureText.textContent = '拖动瞄准...';
+            elements.handIcon.textContent = '👆';
+        }
+    }
+    
+    onMove(e, point) {
+        if (this.id === 'touch') e.preventDefault();
+        if (!this.isDragging || !point) return;
+        const { x, y } = this.getCanvasPoint(point);
+        gameState.handCenter = { x, y };
+        this.emit({ type: 'move', x, y });
+    }
+    
+    onEnd(e) {
+        if (this.id === 'touch') e.preventDefault();
+        if (!this.isDragging) return;
+        this.isDragging = false;
+        this.emit({ type: 'release' });
+    }
+}
+
+// ============== 键盘 ==============
+
+/**
+ * 键盘提供者(Space)：地图中开始选中的关卡，弹窗打开时进入下一关或重试(Shift+Space 返回地图)，
+ * 暂停时继续，游戏中释放飞行技能
+ */
+class KeyboardInputProvider {
+    constructor() {
+        this.id = 'keyboard';
+        this.emit = null;
+        this.listener = e => this.onKeyDown(e);
+    }
+    
+    attach(emit) {
+        this.emit = emit;
+        document.addEventListener('keydown', this.listener);
+    }
+    
+    detach() {
+        document.removeEventListener('keydown', this.listener);
+        this.emit = null;
+    }
+    
+    onKeyDown(e) {
+        if (e.code !== 'Space' || gameState.isEditing) return;
+        if (levelSelectState.isOpen) {
+            e.preventDefault();
+            startFocusedLevel();
+        } else if (!elements.gameModal.classList.contains('hidden')) {
+            e.preventDefault();
+            if (e.shiftKey) {
+                showLevelSelect();
+            } else if (gameState.levelPassed) {
+                nextLevel();
+            } else {
+                restartGame();
+            }
+        } else if (gameState.isPaused) {
+            e.preventDefault();
+            resumeGame();
+        } else if (!e.repeat) {
+            e.preventDefault();
+            this.emit({ type: 'ability' });
+        }
+    }
+}
+
+// ============== 手柄 ==============
+
+/**
+ * 手柄提供者(标准布局)：按住 A 在弹弓上抓住小鸟，左摇杆朝要拉的方向推，松开 A 发射，B 取消；
+ * 小鸟飞行中按 A 释放技能。浏览器不推送手柄事件，由游戏循环每帧轮询
+ */
+class GamepadInputProvider {
+    constructor() {
+        this.id = 'gamepad';
+        this.emit = null;
+        // 上一帧 A、B 是否按下，用于检测按下和松开的瞬间
+        this.grabPressed = false;
+        this.cancelPressed = false;
+    }
+    
+    attach(emit) {
+        this.emit = emit;
+    }
+    
+    detach() {
+        this.emit = null;
+        this.grabPressed = false;
+        this.cancelPressed = false;
+    }
+    
+    getGamepad() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+        return Array.from(navigator.getGamepads()).find(pad => pad && pad.connected) || null;
+    }
+    
+    poll() {
+        const pad = this.getGamepad();
+        const grab = Boolean(pad && pad.buttons[GAMEPAD_BUTTON_GRAB] && pad.buttons[GAMEPAD_BUTTON_GRAB].pressed);
+        const cancel = Boolean(pad && pad.buttons[GAMEPAD_BUTTON_CANCEL] && pad.buttons[GAMEPAD_BUTTON_CANCEL].pressed);
+        const slingshot = gameState.world.slingshot;
+        
+        if (grab && !this.grabPressed && !this.emit({ type: 'ability' })) {
+            if (this.emit({ type: 'grab', x: slingshot.x, y: slingshot.y })) {
+                elements.gestureText.textContent = '推动摇杆瞄准...';
+                elements.handIcon.textContent = '🎮';
+            }
+        }
+        if (grab && isPullOwner(this.id)) {
+            const stick = applyDeadZone(pad.axes[0] || 0, pad.axes[1] || 0);
+            this.emit({ type: 'move', x: slingshot.x + stick.x * MAX_PULL_DISTANCE, y: slingshot.y + stick.y * MAX_PULL_DISTANCE });
+        }
+        // 松开 A 才发射；拉弓中手柄断开不知道玩家是否松手，取消这次拉弓
+        if (!pad && this.grabPressed) this.emit({ type: 'cancel' });
+        else if (!grab && this.grabPressed) this.emit({ type: 'release' });
+        if (cancel && !this.cancelPressed) this.emit({ type: 'cancel' });
+        
+        this.grabPressed = grab;
+        this.cancelPressed = cancel;
+    }
+}
+
+/**
+ * 摇杆死区：偏移小于死区时归零，超出部分重新缩放到 0~1，长度不超过 1
+ * @returns {Object} { x, y }
+ */
+function applyDeadZone(x, y) {
+    const length = Math.hypot(x, y);
+    if (length < GAMEPAD_DEAD_ZONE) return { x: 0, y: 0 };
+    const scale = Math.min(1, (length - GAMEPAD_DEAD_ZONE) / (1 - GAMEPAD_DEAD_ZONE)) / length;
+    return { x: x * scale, y: y * scale };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HandInputProvider,
+        GamepadInputProvider,
+        applyDeadZone
+    };
+}
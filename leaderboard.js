@@ -0,0 +1,220 @@
+/**
+ * Angry Birds - 排行榜
+ *
+ * 每个关卡一张排行榜，记录玩家名、得分、用掉的小鸟数和用时。
+ * 排行榜后端是实现了 submit / fetchTop 的提供者：默认保存在本机 localStorage；
+ * 页面地址带 ?leaderboard=服务器地址 时改用 HTTP 提供者，多台设备共用一张榜(接口见 tools/leaderboard-server.js)
+ * 依赖 levels.js 的 getLevelKey、save.js 的 getActiveProfile 和 game.js 的 gameState
+ */
+
+// 结算弹窗中显示的名次数
+const LEADERBOARD_TOP_N = 5;
+// 本机排行榜每关最多保留的记录数
+const LOCAL_LEADERBOARD_LIMIT = 50;
+const LEADERBOARD_STORAGE_KEY = 'angry-birds-leaderboard';
+// HTTP 请求超时(毫秒)，超时后显示排行榜不可用
+const LEADERBOARD_TIMEOUT = 5000;
+
+/**
+ * 排行顺序：得分高的在前，同分时用的小鸟少的在前，再同时用时短的在前
+ */
+function compareLeaderboardEntries(a, b) {
+    return b.score - a.score || a.birdsUsed - b.birdsUsed || a.seconds - b.seconds;
+}
+
+/**
+ * 校验一条排行记录，提交前和读取服务器数据时使用
+ * @param {Object} entry - { name, score, birdsUsed, seconds, date }
+ * @returns {Array<string>} 错误信息列表，为空表示合法
+ */
+function validateLeaderboardEntry(entry) {
+    const errors = [];
+    if (!entry || typeof entry !== 'object') return ['记录必须是对象'];
+    if (typeof entry.name !== 'string' || entry.name === '' || entry.name.length > 32) errors.push('name 必须是 1~32 个字符');
+    // 数值都必须有限：JSON 中的 1e400 解析为 Infinity，写回文件会变成 null
+    if (!Number.isFinite(entry.score) || !Number.isInteger(entry.score) || entry.score < 0) errors.push(`score 不合法: ${entry.score}`);
+    if (!Number.isInteger(entry.birdsUsed) || entry.birdsUsed < 0) errors.push(`birdsUsed 不合法: ${entry.birdsUsed}`);
+    if (!Number.isFinite(entry.seconds) || entry.seconds < 0) errors.push(`seconds 不合法: ${entry.seconds}`);
+    if (typeof entry.date !== 'string') errors.push('date 必须是字符串');
+    return errors;
+}
+
+/**
+ * 本机排行榜：所有关卡的记录保存在 localStorage 的同一个键下 { 关卡键: [记录] }
+ */
+class LocalLeaderboardProvider {
+    constructor(storage = localStorage) {
+        this.storage = storage;
+        this.name = '本机';
+    }
+    
+    readBoards() {
+        try {
+            const boards = JSON.parse(this.storage.getItem(LEADERBOARD_STORAGE_KEY));
+            if (boards && typeof boards === 'object') return boards;
+        } catch (error) {
+            console.warn('读取排行榜失败:', error);
+        }
+        return {};
+    }
+    
+    /**
+     * 提交一条记录
+     * @param {string} levelKey - 关卡键，见 getLevelKey
+     * @param {Object} entry - 排行记录
+     * @returns {Promise<void>}
+     */
+    submit(levelKey, entry) {
+        const boards = this.readBoards();
+        const board = (boards[levelKey] || []).concat([entry]);
+        boards[levelKey] = board.sort(compareLeaderboardEntries).slice(0, LOCAL_LEADERBOARD_LIMIT);
+        try {
+            this.storage.setItem(LEADERBOARD_STORAGE_KEY, JSON.stringify(boards));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        return Promise.resolve();
+    }
+    
+    /**
+     * 读取前 N 名
+     * @param {string} levelKey - 关卡键
+     * @param {number} limit - 名次数
+     * @returns {Promise<Array>} 按排行顺序排列的记录
+     */
+    fetchTop(levelKey, limit) {
+        const board = (this.readBoards()[levelKey] || []).filter(entry => validateLeaderboardEntry(entry).length === 0);
+        return Promise.resolve(board.sort(compareLeaderboardEntries).slice(0, limit));
+    }
+}
+
+/**
+ * HTTP 排行榜：
+ * GET  {baseUrl}/leaderboard/{关卡键}?limit=N  返回记录数组
+ * POST {baseUrl}/leaderboard/{关卡键}          请求体为一条记录(JSON)
+ */
+class HttpLeaderboardProvider {
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.name = baseUrl;
+    }
+    
+    request(levelKey, query, options) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), LEADERBOARD_TIMEOUT);
+        const url = `${this.baseUrl}/leaderboard/${encodeURIComponent(levelKey)}${query}`;
+        return fetch(url, { ...options, signal: controller.signal })
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.status === 204 ? null : response.json();
+            })
+            .finally(() => clearTimeout(timer));
+    }
+    
+    submit(levelKey, entry) {
+        return this.request(levelKey, '', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(entry)
+        }).then(() => undefined);
+    }
+    
+    fetchTop(levelKey, limit) {
+        return this.request(levelKey, `?limit=${limit}`).then(entries => {
+            if (!Array.isArray(entries)) throw new Error('服务器返回的不是记录数组');
+            return entries.filter(entry => validateLeaderboardEntry(entry).length === 0)
+                .sort(compareLeaderboardEntries)
+                .slice(0, limit);
+        });
+    }
+}
+
+// ============== 结算弹窗排行榜 ==============
+
+const leaderboardState = {
+    provider: null,
+    // 请求编号，关卡变化后迟到的结果不再显示
+    token: 0
+};
+
+let leaderboardElements = null;
+
+/**
+ * 初始化排行榜：地址带 ?leaderboard= 时使用 HTTP 提供者，否则使用本机排行榜
+ */
+function initLeaderboard() {
+    leaderboardElements = {
+        panel: document.getElementById('modal-leaderboard'),
+        source: document.getElementById('leaderboard-source'),
+        list: document.getElementById('leaderboard-list')
+    };
+    const serverUrl = new URLSearchParams(window.location.search).get('leaderboard');
+    leaderboardState.provider = serverUrl ? new HttpLeaderboardProvider(serverUrl) : new LocalLeaderboardProvider();
+}
+
+/**
+ * 过关后提交本关成绩并在结算弹窗中显示前 N 名，导入的单个关卡没有排行榜
+ * @returns {Promise<void>}
+ */
+function submitLevelResult() {
+    hideLeaderboard();
+    if (gameState.customLevel) return Promise.resolve();
+    const token = leaderboardState.token;
+    const levelKey = getLevelKey(gameState.pack, gameState.level);
+    const world = gameState.world;
+    const entry = {
+        name: getActiveProfile().name,
+        score: world.score,
+        birdsUsed: world.totalBirds - world.birdsLeft,
+        seconds: Math.round(world.getElapsedSeconds() * 10) / 10,
+        date: new Date().toISOString()
+    };
+    const provider = leaderboardState.provider;
+    leaderboardElements.panel.classList.remove('hidden');
+    leaderboardElements.source.textContent = `排行榜 · ${provider.name}`;
+    leaderboardElements.list.innerHTML = '<li class="leaderboard-empty">加载中...</li>';
+    return provider.submit(levelKey, entry)
+        .then(() => provider.fetchTop(levelKey, LEADERBOARD_TOP_N))
+        .then(entries => {
+            if (token === leaderboardState.token) renderLeaderboard(entries, entry);
+        })
+        .catch(error => {
+            console.warn('排行榜不可用:', error);
+            if (token === leaderboardState.token) {
+                leaderboardElements.list.innerHTML = '';
+                const item = document.createElement('li');
+                item.className = 'leaderboard-empty';
+                item.textContent = `排行榜不可用: ${error.message}`;
+                leaderboardElements.list.appendChild(item);
+            }
+        });
+}
+
+/**
+ * 列出前 N 名，高亮刚提交的记录
+ * @param {Array} entries - 按排行顺序排列的记录
+ * @param {Object} submitted - 刚提交的记录
+ */
+function renderLeaderboard(entries, submitted) {
+    leaderboardElements.list.innerHTML = '';
+    entries.forEach((entry, i) => {
+        const item = document.createElement('li');
+        if (entry.date === submitted.date && entry.name === submitted.name) item.classList.add('mine');
+        item.textContent = `${i + 1}. ${entry.name}  ${entry.score}  🐦${entry.birdsUsed}  ${entry.seconds.toFixed(1)}s`;
+        leaderboardElements.list.appendChild(item);
+    });
+}
+
+function hideLeaderboard() {
+    leaderboardState.token++;
+    leaderboardElements.panel.classList.add('hidden');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        compareLeaderboardEntries,
+        validateLeaderboardEntry,
+        LocalLeaderboardProvider,
+        HttpLeaderboardProvider
+    };
+}
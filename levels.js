@@ -0,0 +1,435 @@
+/**
+ * Angry Birds - 关卡数据
+ * 
+ * 与模拟核心一样不依赖浏览器，Node 中可直接 require
+ */
+
+/**
+ * 关卡定义 - 物体按放置顺序定义
+ * 规则：
+ * 1. 物体按定义顺序依次放置
+ * 2. 新物体会检查与已放置物体的x范围是否重叠
+ * 3. 如果x范围重叠，新物体会堆叠在已有物体上方
+ * 4. 猪和其头顶木块必须紧挨着定义（先猪后木块）
+ * 5. birds 为小鸟出场顺序（BIRD_TYPES 中的种类名），也可以只写数量表示全是红鸟
+ * 6. material 可以是任意已注册材质（wood、stone、glass、ice、tnt，或 registerMaterial 注册的自定义材质），
+ *    JSON 关卡还可以用本关 materials 中定义的材质
+ */
+const LEVEL_DEFINITIONS = [
+    // 第1关：简单入门
+    {
+        birds: ['red', 'red', 'blue', 'yellow', 'red'],
+        objects: [
+            // 左柱子
+            { x: 0.15, type: 'pillar', material: 'wood', height: 80 },
+            // 右柱子
+            { x: 0.35, type: 'pillar', material: 'wood', height: 80 },
+            // 横梁（放在柱子上）
+            { x: 0.25, type: 'beam', material: 'wood', width: 160 },
+            // 猪（放在横梁上）
+            { x: 0.25, type: 'pig', radius: 22 },
+            // 猪头顶木块
+            { x: 0.25, type: 'block', material: 'wood', width: 50, height: 20 }
+        ]
+    },
+    // 第2关：双塔结构
+    {
+        birds: ['red', 'yellow', 'blue', 'red', 'white', 'red'],
+        objects: [
+            // 左塔
+            { x: 0.12, type: 'pillar', material: 'wood', height: 90 },
+            { x: 0.20, type: 'pillar', material: 'wood', height: 90 },
+            { x: 0.16, type: 'beam', material: 'wood', width: 70 },
+            { x: 0.16, type: 'pig', radius: 18 },
+            { x: 0.16, type: 'block', material: 'wood', width: 40, height: 15 },
+            // 右塔
+            { x: 0.36, type: 'pillar', material: 'wood', height: 90 },
+            { x: 0.44, type: 'pillar', material: 'wood', height: 90 },
+            { x: 0.40, type: 'beam', material: 'wood', width: 70 },
+            { x: 0.40, type: 'pig', radius: 18 },
+            { x: 0.40, type: 'block', material: 'wood', width: 40, height: 15 },
+            // 顶部横梁连接两塔
+            { x: 0.28, type: 'beam', material: 'wood', width: 150 }
+        ]
+    },
+    // 第3关：石木混合堡垒
+    {
+        birds: ['red', 'yellow', 'black', 'blue', 'red', 'white', 'red'],
+        objects: [
+            // 外墙石柱
+            { x: 0.08, type: 'pillar', material: 'stone', height: 100 },
+            { x: 0.52, type: 'pillar', material: 'stone', height: 100 },
+            // 内部三个木柱
+            { x: 0.18, type: 'pillar', material: 'wood', height: 80 },
+            { x: 0.30, type: 'pillar', material: 'wood', height: 80 },
+            { x: 0.42, type: 'pillar', material: 'wood', height: 80 },
+            // 第一层石梁
+            { x: 0.30, type: 'beam', material: 'stone', width: 480 },
+            // 第一层猪（左）
+            { x: 0.18, type: 'pig', radius: 16 },
+            { x: 0.18, type: 'block', material: 'wood', width: 35, height: 12 },
+            // 第一层猪（中）
+            { x: 0.30, type: 'pig', radius: 18 },
+            { x: 0.30, type: 'block', material: 'stone', width: 40, height: 12 },
+            // 第一层猪（右）
+            { x: 0.42, type: 'pig', radius: 16 },
+            { x: 0.42, type: 'block', material: 'wood', width: 35, height: 12 },
+            // 第二层柱子
+            { x: 0.24, type: 'pillar', material: 'wood', height: 50 },
+            { x: 0.36, type: 'pillar', material: 'wood', height: 50 },
+            // 顶部横梁
+            { x: 0.30, type: 'beam', material: 'stone', width: 250 }
+        ]
+    },
+    // 第4关：多层城堡
+    {
+        birds: ['red', 'black', 'yellow', 'white', 'blue', 'red', 'black', 'yellow'],
+        objects: [
+            // 外墙石柱
+            { x: 0.06, type: 'pillar', material: 'stone', height: 120 },
+            { x: 0.54, type: 'pillar', material: 'stone', height: 120 },
+            // 内部木柱
+            { x: 0.18, type: 'pillar', material: 'wood', height: 100 },
+            { x: 0.30, type: 'pillar', material: 'wood', height: 100 },
+            { x: 0.42, type: 'pillar', material: 'wood', height: 100 },
+            // 第一层石梁
+            { x: 0.30, type: 'beam', material: 'stone', width: 480 },
+            // 底层猪（左）
+            { x: 0.18, type: 'pig', radius: 16 },
+            { x: 0.18, type: 'block', material: 'wood', width: 35, height: 12 },
+            // 底层猪（中）
+            { x: 0.30, type: 'pig', radius: 18 },
+            { x: 0.30, type: 'block', material: 'wood', width: 40, height: 12 },
+            // 底层猪（右）
+            { x: 0.42, type: 'pig', radius: 16 },
+            { x: 0.42, type: 'block', material: 'wood', width: 35, height: 12 },
+            // 第二层柱子
+            { x: 0.24, type: 'pillar', material: 'wood', height: 60 },
+            { x: 0.36, type: 'pillar', material: 'wood', height: 60 },
+            // 第二层横梁
+            { x: 0.30, type: 'beam', material: 'stone', width: 250 },
+            // 顶层猪
+            { x: 0.30, type: 'pig', radius: 20 },
+            { x: 0.30, type: 'block', material: 'wood', width: 45, height: 15 }
+        ]
+    },
+    // 第5关：终极堡垒
+    {
+        birds: ['black', 'yellow', 'white', 'blue', 'red', 'black', 'yellow', 'white', 'blue', 'red'],
+        objects: [
+            // 外墙石柱
+            { x: 0.04, type: 'pillar', material: 'stone', height: 140 },
+            { x: 0.60, type: 'pillar', material: 'stone', height: 140 },
+            // 内部五根木柱
+            { x: 0.14, type: 'pillar', material: 'wood', height: 110 },
+            { x: 0.24, type: 'pillar', material: 'wood', height: 110 },
+            { x: 0.32, type: 'pillar', material: 'wood', height: 110 },
+            { x: 0.40, type: 'pillar', material: 'wood', height: 110 },
+            { x: 0.50, type: 'pillar', material: 'wood', height: 110 },
+            // 第一层石梁
+            { x: 0.32, type: 'beam', material: 'stone', width: 340 },
+            // 底层猪（4只，分布在柱子之间）
+            { x: 0.14, type: 'pig', radius: 14 },
+            { x: 0.14, type: 'block', material: 'wood', width: 32, height: 10 },
+            { x: 0.28, type: 'pig', radius: 16 },
+            { x: 0.28, type: 'block', material: 'wood', width: 35, height: 10 },
+            { x: 0.36, type: 'pig', radius: 16 },
+            { x: 0.36, type: 'block', material: 'wood', width: 35, height: 10 },
+            { x: 0.50, type: 'pig', radius: 14 },
+            { x: 0.50, type: 'block', material: 'wood', width: 32, height: 10 },
+            // 第二层柱子
+            { x: 0.24, type: 'pillar', material: 'wood', height: 60 },
+            { x: 0.40, type: 'pillar', material: 'wood', height: 60 },
+            // 第二层横梁
+            { x: 0.32, type: 'beam', material: 'stone', width: 330 },
+            // 中层猪
+            { x: 0.32, type: 'pig', radius: 18 },
+            { x: 0.32, type: 'block', material: 'wood', width: 40, height: 12 },
+            // 第三层柱子
+            { x: 0.28, type: 'pillar', material: 'wood', height: 50 },
+            { x: 0.36, type: 'pillar', material: 'wood', height: 50 },
+            // 顶部横梁
+            { x: 0.32, type: 'beam', material: 'wood', width: 180 },
+            // 顶层猪
+            { x: 0.32, type: 'pig', radius: 16 },
+            { x: 0.32, type: 'block', material: 'stone', width: 35, height: 12 }
+        ]
+    }
+];
+
+// ============== 程序生成关卡 ==============
+
+// 内置关卡之后的第一个生成关卡使用的难度
+const GENERATED_START_DIFFICULTY = 3;
+
+// 生成的结构要在这个画布宽度范围内都能正确堆叠(物体 x 是比例，尺寸是像素)，与 SANITY_CANVAS_SIZES 一致
+const GENERATOR_MIN_CANVAS_WIDTH = 812;
+const GENERATOR_MAX_CANVAS_WIDTH = 1920;
+
+// 塔的最大高度(像素)：375 高的画布上地面在 318 处，顶上留出余量
+const GENERATOR_MAX_TOWER_HEIGHT = 290;
+
+// 最窄画布上相邻两座塔的横梁不能互相搭上，塔数因此有上限；
+// 塔底只有两根柱子宽，叠到四层以上会在自身重量下慢慢歪倒
+const GENERATOR_MAX_TOWERS = 3;
+const GENERATOR_MAX_FLOORS = 3;
+
+// 塔群所占的横向范围(比例)，弹弓在 0.75
+const GENERATOR_AREA = { left: 0.03, right: 0.64 };
+
+// 柱子宽度，与 PhysicsWorld.getObjectSize 一致
+const GENERATOR_PILLAR_WIDTH = 15;
+const GENERATOR_BEAM_HEIGHT = 15;
+// 最宽画布上横梁伸出柱子外侧的长度，柱子不会正好顶在横梁边缘
+const GENERATOR_BEAM_OVERHANG = 5;
+
+// 猪的半径范围；有猪的楼层柱子高度等于猪的直径，横梁正好压在猪头顶作屋顶
+const GENERATOR_PIG_RADIUS = { min: 14, max: 18 };
+// 最窄画布上柱子和最大的猪之间的空隙范围(像素)，决定塔的宽窄
+const GENERATOR_PIG_GAP = { min: 2, max: 14 };
+// 没有猪的楼层柱子高度范围
+const GENERATOR_PILLAR_HEIGHT = { min: 60, max: 100 };
+
+const GENERATOR_BIRD_TYPES = ['red', 'blue', 'yellow', 'black', 'white'];
+
+/**
+ * 创建可复现的伪随机数发生器(mulberry32)
+ * @param {number} seed - 整数种子
+ * @returns {Function} 每次调用返回 [0, 1) 之间的数
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 根据难度计算生成参数，难度越高塔越多越高、猪越多、石头越多、小鸟越少
+ * @param {number} difficulty - 难度，从 1 开始，不设上限
+ * @returns {Object} { towers, floors, pigs, stoneRatio, birds }
+ */
+function getGeneratorParams(difficulty) {
+    const d = Math.max(1, difficulty);
+    const towers = Math.min(GENERATOR_MAX_TOWERS, 1 + Math.floor(d / 2));
+    const floors = Math.min(GENERATOR_MAX_FLOORS, 1 + Math.floor(d / 3));
+    const pigs = Math.min(towers * floors, 1 + Math.floor(d * 0.8));
+    const stoneRatio = Math.min(0.8, 0.1 + d * 0.07);
+    // 小鸟预算：每只猪至少留一只鸟的一半，再加上随难度递减的余量
+    const birds = Math.max(Math.ceil(pigs * 0.6) + 2, pigs + 4 - Math.floor(d / 2));
+    return { towers, floors, pigs, stoneRatio, birds };
+}
+
+/**
+ * 由种子和难度生成关卡，相同参数总是得到相同的关卡
+ * 每座塔由若干层「两根柱子 + 横梁」叠成。有猪的楼层里猪站在下层横梁(或地面)上、两根柱子之间，
+ * 柱子高度等于猪的直径，本层横梁就是压在猪头顶的屋顶
+ * @param {number} seed - 整数种子
+ * @param {number} difficulty - 难度，见 getGeneratorParams
+ * @param {Object} overrides - 可选，覆盖 getGeneratorParams 的任意参数
+ * @returns {Object} 关卡定义，格式与 LEVEL_DEFINITIONS 相同
+ */
+function generateLevel(seed, difficulty, overrides = {}) {
+    const random = createSeededRandom(seed);
+    const params = { ...getGeneratorParams(difficulty), ...overrides };
+    const towers = Math.max(1, Math.min(GENERATOR_MAX_TOWERS, Math.floor(params.towers)));
+    const floors = Math.max(1, Math.min(GENERATOR_MAX_FLOORS, Math.floor(params.floors)));
+    const pigs = Math.max(1, Math.min(towers * floors, Math.floor(params.pigs)));
+    const between = (min, max) => min + random() * (max - min);
+    const pickMaterial = () => (random() < params.stoneRatio ? 'stone' : 'wood');
+    const round = value => Math.round(value * 1000) / 1000;
+    
+    // 随机挑选放猪的楼层(塔号 * floors + 层号)
+    const slots = [];
+    for (let i = 0; i < towers * floors; i++) slots.push(i);
+    for (let i = slots.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [slots[i], slots[j]] = [slots[j], slots[i]];
+    }
+    const pigSlots = new Set(slots.slice(0, pigs));
+    
+    // 柱子到塔中心的距离(比例)：最窄画布上柱子也不能碰到最大的猪；
+    // 塔多时每座塔分到的横向范围窄，横梁按最宽画布算出的长度在最窄画布上不能超出这个范围
+    const halfSpanFor = gap => (GENERATOR_PIG_RADIUS.max + GENERATOR_PILLAR_WIDTH / 2 + gap) / GENERATOR_MIN_CANVAS_WIDTH;
+    const slotWidth = (GENERATOR_AREA.right - GENERATOR_AREA.left) / towers;
+    const minHalfSpan = halfSpanFor(GENERATOR_PIG_GAP.min);
+    const slotHalfSpan = ((slotWidth / 2 - 0.005) * 2 * GENERATOR_MIN_CANVAS_WIDTH - GENERATOR_PILLAR_WIDTH - GENERATOR_BEAM_OVERHANG * 2) /
+        (2 * GENERATOR_MAX_CANVAS_WIDTH);
+    const maxHalfSpan = Math.max(minHalfSpan, Math.min(halfSpanFor(GENERATOR_PIG_GAP.max), slotHalfSpan));
+    
+    const objects = [];
+    for (let tower = 0; tower < towers; tower++) {
+        // 横梁按最宽画布计算长度，保证总能完整盖住两根柱子；
+        // 最窄画布上横梁和相邻的塔之间至少留出一点空隙
+        const halfSpan = between(minHalfSpan, maxHalfSpan);
+        const beamWidth = Math.ceil(halfSpan * 2 * GENERATOR_MAX_CANVAS_WIDTH + GENERATOR_PILLAR_WIDTH + GENERATOR_BEAM_OVERHANG * 2);
+        const beamHalfRatio = beamWidth / 2 / GENERATOR_MIN_CANVAS_WIDTH;
+        const jitter = Math.max(0, slotWidth / 2 - beamHalfRatio - 0.005);
+        const center = round(GENERATOR_AREA.left + slotWidth * (tower + 0.5) + between(-jitter, jitter));
+        
+        // 先定好每层放不放猪和猪的大小，没有猪的楼层分掉剩下的高度
+        const floorPigs = [];
+        for (let floor = 0; floor < floors; floor++) {
+            const hasPig = pigSlots.has(tower * floors + floor);
+            floorPigs.push(hasPig ? GENERATOR_PIG_RADIUS.min + Math.floor(random() * (GENERATOR_PIG_RADIUS.max - GENERATOR_PIG_RADIUS.min + 1)) : 0);
+        }
+        const pigFloorsHeight = floorPigs.reduce((sum, radius) => sum + (radius ? radius * 2 + GENERATOR_BEAM_HEIGHT : 0), 0);
+        const emptyFloors = floorPigs.filter(radius => !radius).length;
+        const maxPillarHeight = emptyFloors === 0 ? 0 : Math.min(GENERATOR_PILLAR_HEIGHT.max,
+            Math.floor((GENERATOR_MAX_TOWER_HEIGHT - pigFloorsHeight) / emptyFloors) - GENERATOR_BEAM_HEIGHT);
+        const heightSteps = Math.max(1, Math.floor((maxPillarHeight - GENERATOR_PILLAR_HEIGHT.min) / 10) + 1);
+        
+        floorPigs.forEach(radius => {
+            const height = radius ? radius * 2 : GENERATOR_PILLAR_HEIGHT.min + Math.floor(random() * heightSteps) * 10;
+            // 同层两根柱子用同一种材料，两边下沉一致，塔不会慢慢歪倒
+            const pillarMaterial = pickMaterial();
+            objects.push({ x: round(center - halfSpan), type: 'pillar', material: pillarMaterial, height });
+            objects.push({ x: round(center + halfSpan), type: 'pillar', material: pillarMaterial, height });
+            if (radius) objects.push({ x: center, type: 'pig', radius });
+            objects.push({ x: center, type: 'beam', material: pickMaterial(), width: beamWidth });
+        });
+    }
+    
+    const birds = [];
+    for (let i = 0; i < Math.max(1, Math.floor(params.birds)); i++) {
+        birds.push(GENERATOR_BIRD_TYPES[Math.floor(random() * GENERATOR_BIRD_TYPES.length)]);
+    }
+    
+    return { name: `生成关卡 #${seed}`, birds, objects };
+}
+
+/**
+ * 按编号获取关卡：先是内置关卡，之后由生成器按编号作种子无限生成，难度逐关递增
+ * @param {number} levelNum - 关卡编号，从 1 开始
+ * @returns {Object} 关卡定义
+ */
+function getLevelDefinition(levelNum) {
+    if (levelNum <= LEVEL_DEFINITIONS.length) return LEVEL_DEFINITIONS[levelNum - 1];
+    return generateLevel(levelNum, levelNum - LEVEL_DEFINITIONS.length + GENERATED_START_DIFFICULTY - 1);
+}
+
+// ============== 关卡包与解锁 ==============
+
+// 无尽关卡包在选关界面至少显示的关卡数
+const ENDLESS_PACK_PREVIEW = 10;
+
+/**
+ * 内置关卡包
+ * unlockStars 为解锁整个关卡包所需的总星数；包内关卡需要通过上一关才解锁
+ * endless 关卡包的关卡由生成器按需生成，编号接在内置关卡之后
+ */
+const BUILT_IN_PACKS = [
+    { id: 'classic', name: '经典关卡', unlockStars: 0, levels: LEVEL_DEFINITIONS },
+    { id: 'endless', name: '无尽塔群', unlockStars: 8, endless: true }
+];
+
+/**
+ * 取关卡包中的关卡
+ * @param {Object} pack - 关卡包
+ * @param {number} index - 包内编号，从 1 开始
+ * @returns {Object|null} 关卡定义，超出范围时为null
+ */
+function getPackLevel(pack, index) {
+    if (pack.endless) return getLevelDefinition(LEVEL_DEFINITIONS.length + index);
+    return pack.levels[index - 1] || null;
+}
+
+/**
+ * 进度中记录关卡星数和最高分用的键
+ */
+function getLevelKey(pack, index) {
+    return `${pack.id}/${index}`;
+}
+
+/**
+ * 关卡已获得的星数
+ * @param {Object} progress - 进度 { stars: { 关卡键: 星数 }, scores: { 关卡键: 最高分 } }
+ * @returns {number} 0~3，0 表示未通过
+ */
+function getLevelStars(progress, pack, index) {
+    return progress.stars[getLevelKey(pack, index)] || 0;
+}
+
+/**
+ * 关卡包在选关界面显示的关卡数：无尽关卡包显示到已通过的下一关
+ */
+function getPackSize(pack, progress) {
+    if (!pack.endless) return pack.levels.length;
+    let cleared = 0;
+    while (getLevelStars(progress, pack, cleared + 1) > 0) cleared++;
+    return Math.max(ENDLESS_PACK_PREVIEW, cleared + 1);
+}
+
+function getPackStars(progress, pack) {
+    let stars = 0;
+    for (let i = 1; i <= getPackSize(pack, progress); i++) stars += getLevelStars(progress, pack, i);
+    return stars;
+}
+
+function getTotalStars(progress) {
+    return Object.values(progress.stars).reduce((sum, stars) => sum + stars, 0);
+}
+
+function isPackUnlocked(pack, progress) {
+    return getTotalStars(progress) >= (pack.unlockStars || 0);
+}
+
+/**
+ * 关卡是否已解锁：关卡包已解锁，且是第一关或上一关已通过
+ */
+function isLevelUnlocked(pack, index, progress) {
+    if (!isPackUnlocked(pack, progress)) return false;
+    return index === 1 || getLevelStars(progress, pack, index - 1) > 0;
+}
+
+/**
+ * 记录关卡星数，只保留最好成绩
+ * @returns {boolean} 是否刷新了记录
+ */
+function recordLevelStars(progress, pack, index, stars) {
+    const key = getLevelKey(pack, index);
+    if ((progress.stars[key] || 0) >= stars) return false;
+    progress.stars[key] = stars;
+    return true;
+}
+
+function getLevelBestScore(progress, pack, index) {
+    return progress.scores[getLevelKey(pack, index)] || 0;
+}
+
+/**
+ * 记录关卡得分，只保留最高分
+ * @returns {boolean} 是否刷新了记录
+ */
+function recordLevelScore(progress, pack, index, score) {
+    const key = getLevelKey(pack, index);
+    if ((progress.scores[key] || 0) >= score) return false;
+    progress.scores[key] = score;
+    return true;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LEVEL_DEFINITIONS,
+        createSeededRandom,
+        getGeneratorParams,
+        generateLevel,
+        getLevelDefinition,
+        BUILT_IN_PACKS,
+        getPackLevel,
+        getLevelKey,
+        getLevelStars,
+        getPackSize,
+        getPackStars,
+        getTotalStars,
+        isPackUnlocked,
+        isLevelUnlocked,
+        recordLevelStars,
+        getLevelBestScore,
+        recordLevelScore
+    };
+}
@@ -0,0 +1,421 @@
+/**
+ * Angry Birds - 存档
+ *
+ * 存档保存在 localStorage，带版本号，读到旧版本时逐版迁移到当前版本。
+ * 一个存档包含多个玩家档案，每个档案有自己的关卡星数和最高分、上次玩到的关卡、设置和手势校准；
+ * 关卡解锁由星数推出，见 levels.js。存档可以导出为 JSON 文件，在其他设备上导入
+ * 依赖 levels.js 的关卡包函数、calibration.js 的 validateCalibration 和 game.js 的 gameState / restartGame
+ */
+
+// 浏览器中这两个函数是先加载的 simulation.js、calibration.js 声明的全局函数，Node 中从对应模块引入
+const { parseJSONText: parseSaveText, validateCalibration: validateSaveCalibration } =
+    typeof module !== 'undefined' && module.exports
+        ? { ...require('./simulation.js'), ...require('./calibration.js') }
+        : { parseJSONText, validateCalibration };
+
+// localStorage 中保存存档的键
+const SAVE_STORAGE_KEY = 'angry-birds-save';
+// 版本 1 是没有版本号的星数进度 { stars }，保存在这个旧键下
+const LEGACY_PROGRESS_KEY = 'angry-birds-progress';
+const SAVE_VERSION = 3;
+// 不能用作档案 id 或关卡记录键的名字，写进普通对象会改掉原型
+const RESERVED_SAVE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+// 设置默认值：sound 音效，trajectory 瞄准时显示预测轨迹，hand 手势操作手(right、left 或 auto 先捏合的手)，
+// smoothing 手部关键点平滑强度(见 smoothing.js 的 SMOOTHING_PRESETS)
+const DEFAULT_SETTINGS = {
+    sound: true,
+    trajectory: true,
+    hand: 'right',
+    smoothing: 'medium'
+};
+
+// 每项设置允许的取值
+const SETTING_VALUES = {
+    sound: [true, false],
+    trajectory: [true, false],
+    hand: ['right', 'left', 'auto'],
+    smoothing: ['off', 'light', 'medium', 'strong']
+};
+
+/**
+ * 迁移函数，键为迁移前的版本，返回下一版本的存档
+ */
+const SAVE_MIGRATIONS = {
+    // 1 → 2：单份星数进度变为多档案，增加最高分、上次关卡和设置
+    1: save => {
+        const profile = createProfileData('玩家 1');
+        if (save.stars && typeof save.stars === 'object') profile.progress.stars = save.stars;
+        return { version: 2, activeProfile: 'player-1', profiles: { 'player-1': profile } };
+    },
+    // 2 → 3：档案增加手势校准，未校准为 null
+    2: save => {
+        Object.values(save.profiles || {}).forEach(profile => {
+            if (profile && typeof profile === 'object') profile.calibration = null;
+        });
+        return { ...save, version: 3 };
+    }
+};
+
+function createProfileData(name) {
+    return {
+        name,
+        progress: { stars: {}, scores: {} },
+        // 上次玩到的关卡 { pack: 关卡包 id, level: 包内编号 }
+        lastLevel: null,
+        settings: { ...DEFAULT_SETTINGS },
+        // 手势校准参数，见 calibration.js
+        calibration: null
+    };
+}
+
+function createSaveData() {
+    return { version: SAVE_VERSION, activeProfile: 'player-1', profiles: { 'player-1': createProfileData('玩家 1') } };
+}
+
+/**
+ * 把任意版本的存档迁移到当前版本，补齐缺少的字段
+ * @param {Object} save - 存档，没有 version 字段时视为版本 1
+ * @returns {Object} 当前版本的存档
+ * @throws {Error} 存档版本比游戏支持的更新，或缺少对应的迁移
+ */
+function migrateSave(save) {
+    let version = save.version === undefined ? 1 : save.version;
+    if (!Number.isInteger(version) || version < 1) throw new Error(`version 不合法: ${save.version}`);
+    if (version > SAVE_VERSION) throw new Error(`存档版本 ${version} 比游戏支持的版本 ${SAVE_VERSION} 新，请先更新游戏`);
+    while (version < SAVE_VERSION) {
+        save = SAVE_MIGRATIONS[version](save);
+        version = save.version;
+    }
+    Object.values(save.profiles || {}).forEach(profile => {
+        if (!profile || typeof profile !== 'object') return;
+        profile.progress = profile.progress || {};
+        profile.progress.stars = profile.progress.stars || {};
+        profile.progress.scores = profile.progress.scores || {};
+        profile.lastLevel = profile.lastLevel || null;
+        profile.settings = { ...DEFAULT_SETTINGS, ...profile.settings };
+        profile.calibration = profile.calibration || null;
+    });
+    return save;
+}
+
+/**
+ * 校验当前版本的存档
+ * @param {Object} save - 已迁移的存档
+ * @returns {Array<string>} 错误信息列表，为空表示合法
+ */
+function validateSave(save) {
+    const errors = [];
+    if (!save.profiles || typeof save.profiles !== 'object' || Array.isArray(save.profiles)) {
+        errors.push('profiles 必须是对象');
+        return errors;
+    }
+    const ids = Object.keys(save.profiles);
+    if (ids.length === 0) errors.push('profiles 中至少要有一个档案');
+    if (!ids.includes(save.activeProfile)) errors.push(`activeProfile 不存在: ${save.activeProfile}`);
+    ids.forEach(id => {
+        const profile = save.profiles[id];
+        if (!profile || typeof profile !== 'object') {
+            errors.push(`profiles.${id} 必须是对象`);
+            return;
+        }
+        if (typeof profile.name !== 'string' || profile.name === '') errors.push(`profiles.${id}.name 必须是非空字符串`);
+        ['stars', 'scores'].forEach(field => {
+            const records = profile.progress[field];
+            if (!records || typeof records !== 'object' || Array.isArray(records)) {
+                errors.push(`profiles.${id}.progress.${field} 必须是对象`);
+                return;
+            }
+            Object.entries(records).forEach(([key, value]) => {
+                const max = field === 'stars' ? 3 : Infinity;
+                if (!Number.isInteger(value) || value < 0 || value > max) {
+                    errors.push(`profiles.${id}.progress.${field}["${key}"] 不合法: ${value}`);
+                }
+            });
+        });
+        const last = profile.lastLevel;
+        if (last !== null && (typeof last !== 'object' || typeof last.pack !== 'string' || !Number.isInteger(last.level) || last.level < 1)) {
+            errors.push(`profiles.${id}.lastLevel 必须是 { pack, level } 或 null`);
+        }
+        Object.keys(DEFAULT_SETTINGS).forEach(key => {
+            if (!SETTING_VALUES[key].includes(profile.settings[key])) {
+                errors.push(`profiles.${id}.settings.${key} 必须是 ${SETTING_VALUES[key].join('、')} 之一`);
+            }
+        });
+        if (profile.calibration !== null) errors.push(...validateSaveCalibration(profile.calibration, `profiles.${id}.calibration`));
+    });
+    return errors;
+}
+
+/**
+ * 解析、迁移并校验 JSON 格式的存档
+ * @param {string} text - JSON 文本
+ * @returns {Object} 当前版本的存档
+ * @throws {Error} JSON 语法错误、版本不支持或格式不合法，message 中逐行列出问题
+ */
+function parseSaveJSON(text) {
+    const parsed = parseSaveText(text);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('存档必须是 JSON 对象');
+    const save = migrateSave(parsed);
+    const errors = validateSave(save);
+    if (errors.length > 0) throw new Error(errors.join('\n'));
+    return save;
+}
+
+/**
+ * 把导入的存档并入已有存档的副本，切换到导入存档的当前档案。
+ * id 相同的档案合并关卡进度，每关的星数和最高分取两边较高的；名称、上次关卡、设置和校准保留本机的。
+ * __proto__ 等保留名的档案和关卡记录会被跳过
+ * @param {Object} target - 已有存档，不会被修改
+ * @param {Object} imported - 已校验的导入存档
+ * @returns {Object} 合并后的新存档，调用方成功后再替换已有存档
+ * @throws {Error} 导入档案的进度格式不对，这时已有存档保持原样
+ */
+function mergeSave(target, imported) {
+    const merged = JSON.parse(JSON.stringify(target));
+    const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+    Object.entries(imported.profiles).forEach(([id, profile]) => {
+        if (RESERVED_SAVE_KEYS.has(id)) return;
+        if (!hasOwn(merged.profiles, id)) {
+            merged.profiles[id] = JSON.parse(JSON.stringify(profile));
+            return;
+        }
+        ['stars', 'scores'].forEach(field => {
+            const records = merged.profiles[id].progress[field];
+            const incoming = profile.progress && profile.progress[field];
+            if (!incoming || typeof incoming !== 'object' || Array.isArray(incoming)) {
+                throw new Error(`profiles.${id}.progress.${field} 必须是对象`);
+            }
+            Object.entries(incoming).forEach(([key, value]) => {
+                if (RESERVED_SAVE_KEYS.has(key)) return;
+                records[key] = Math.max(hasOwn(records, key) ? records[key] : 0, value);
+            });
+        });
+    });
+    if (hasOwn(merged.profiles, imported.activeProfile)) merged.activeProfile = imported.activeProfile;
+    return merged;
+}
+
+// ============== 浏览器存档 ==============
+
+let saveElements = null;
+
+/**
+ * 读取 localStorage 中的存档：没有新存档时迁移旧的星数进度，都没有或损坏时新建
+ * @returns {Object} 当前版本的存档
+ */
+function loadSave() {
+    try {
+        const text = localStorage.getItem(SAVE_STORAGE_KEY) || localStorage.getItem(LEGACY_PROGRESS_KEY);
+        if (text) return parseSaveJSON(text);
+    } catch (error) {
+        console.warn('读取存档失败:', error);
+    }
+    return createSaveData();
+}
+
+function writeSave() {
+    try {
+        localStorage.setItem(SAVE_STORAGE_KEY, JSON.stringify(gameState.save));
+        localStorage.removeItem(LEGACY_PROGRESS_KEY);
+    } catch (error) {
+        console.warn('保存存档失败:', error);
+    }
+}
+
+function getActiveProfile() {
+    return gameState.save.profiles[gameState.save.activeProfile];
+}
+
+/**
+ * 初始化存档：读取存档并应用当前档案，绑定档案、设置和导入导出控件
+ */
+function initSave() {
+    saveElements = {
+        profileSelect: document.getElementById('profile-select'),
+        newProfileBtn: document.getElementById('profile-new'),
+        deleteProfileBtn: document.getElementById('profile-delete'),
+        soundToggle: document.getElementById('setting-sound'),
+        trajectoryToggle: document.getElementById('setting-trajectory'),
+        handSelect: document.getElementById('setting-hand'),
+        smoothingSelect: document.getElementById('setting-smoothing'),
+        calibrationStatus: document.getElementById('calibration-status'),
+        exportBtn: document.getElementById('save-export'),
+        importBtn: document.getElementById('save-import'),
+        fileInput: document.getElementById('save-file-input'),
+        status: document.getElementById('save-status')
+    };
+    gameState.save = loadSave();
+    applyActiveProfile();
+    
+    saveElements.profileSelect.addEventListener('change', () => switchProfile(saveElements.profileSelect.value));
+    saveElements.newProfileBtn.addEventListener('click', () => {
+        const name = prompt('新档案名称', `玩家 ${Object.keys(gameState.save.profiles).length + 1}`);
+        if (name && name.trim()) addProfile(name.trim());
+    });
+    saveElements.deleteProfileBtn.addEventListener('click', () => {
+        if (confirm(`删除档案「${getActiveProfile().name}」？进度无法恢复`)) deleteActiveProfile();
+    });
+    saveElements.soundToggle.addEventListener('change', () => {
+        getActiveProfile().settings.sound = saveElements.soundToggle.checked;
+        writeSave();
+    });
+    saveElements.trajectoryToggle.addEventListener('change', () => {
+        getActiveProfile().settings.trajectory = saveElements.trajectoryToggle.checked;
+        writeSave();
+    });
+    saveElements.handSelect.addEventListener('change', () => {
+        getActiveProfile().settings.hand = saveElements.handSelect.value;
+        gameState.controlHand = null;
+        writeSave();
+    });
+    saveElements.smoothingSelect.addEventListener('change', () => {
+        getActiveProfile().settings.smoothing = saveElements.smoothingSelect.value;
+        gameState.handSmoother = createHandSmoother(saveElements.smoothingSelect.value);
+        writeSave();
+    });
+    saveElements.exportBtn.addEventListener('click', exportSave);
+    saveElements.importBtn.addEventListener('click', () => saveElements.fileInput.click());
+    saveElements.fileInput.addEventListener('change', () => {
+        const file = saveElements.fileInput.files[0];
+        saveElements.fileInput.value = '';
+        if (file) importSaveFile(file);
+    });
+}
+
+/**
+ * 把当前档案的进度、设置和校准接到 gameState，回到档案上次玩到的关卡(关卡仍需已解锁)
+ */
+function applyActiveProfile() {
+    const profile = getActiveProfile();
+    gameState.progress = profile.progress;
+    gameState.settings = profile.settings;
+    gameState.calibration = profile.calibration;
+    gameState.controlHand = null;
+    gameState.handSmoother = createHandSmoother(profile.settings.smoothing);
+    gameState.pack = BUILT_IN_PACKS[0];
+    gameState.level = 1;
+    const last = profile.lastLevel;
+    const pack = last && gameState.packs.find(p => p.id === last.pack);
+    if (pack && isLevelUnlocked(pack, last.level, profile.progress) && getPackLevel(pack, last.level)) {
+        gameState.pack = pack;
+        gameState.level = last.level;
+    }
+    renderSaveControls();
+}
+
+function renderSaveControls() {
+    const save = gameState.save;
+    saveElements.profileSelect.innerHTML = '';
+    Object.entries(save.profiles).forEach(([id, profile]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = profile.name;
+        saveElements.profileSelect.appendChild(option);
+    });
+    saveElements.profileSelect.value = save.activeProfile;
+    saveElements.deleteProfileBtn.disabled = Object.keys(save.profiles).length < 2;
+    saveElements.soundToggle.checked = gameState.settings.sound;
+    saveElements.trajectoryToggle.checked = gameState.settings.trajectory;
+    saveElements.handSelect.value = gameState.settings.hand;
+    saveElements.smoothingSelect.value = gameState.settings.smoothing;
+    saveElements.calibrationStatus.textContent = gameState.calibration ? '已校准' : '未校准';
+}
+
+/**
+ * 保存当前档案的手势校准，null 表示恢复默认
+ * @param {Object|null} calibration - computeCalibration 的结果
+ */
+function setProfileCalibration(calibration) {
+    getActiveProfile().calibration = calibration;
+    gameState.calibration = calibration;
+    writeSave();
+    renderSaveControls();
+}
+
+/**
+ * 记录当前关卡为档案上次玩到的关卡，导入的单个关卡不记录
+ */
+function recordLastLevel() {
+    if (gameState.customLevel) return;
+    getActiveProfile().lastLevel = { pack: gameState.pack.id, level: gameState.level };
+    writeSave();
+}
+
+/**
+ * 切换档案并开始该档案上次玩到的关卡
+ * @param {string} id - 档案 id
+ */
+function switchProfile(id) {
+    if (!gameState.save.profiles[id]) return;
+    gameState.save.activeProfile = id;
+    writeSave();
+    applyActiveProfile();
+    gameState.customLevel = null;
+    restartGame();
+    if (levelSelectState.isOpen) showLevelSelect();
+}
+
+function addProfile(name) {
+    let n = Object.keys(gameState.save.profiles).length + 1;
+    while (gameState.save.profiles[`player-${n}`]) n++;
+    gameState.save.profiles[`player-${n}`] = createProfileData(name);
+    switchProfile(`player-${n}`);
+}
+
+function deleteActiveProfile() {
+    const ids = Object.keys(gameState.save.profiles);
+    if (ids.length < 2) return;
+    delete gameState.save.profiles[gameState.save.activeProfile];
+    switchProfile(ids.find(id => id !== gameState.save.activeProfile));
+}
+
+/**
+ * 下载整个存档(所有档案)为 JSON 文件
+ */
+function exportSave() {
+    const blob = new Blob([JSON.stringify(gameState.save, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'angry-birds-save.json';
+    link.click();
+    URL.revokeObjectURL(url);
+    saveElements.status.textContent = '存档已导出';
+}
+
+/**
+ * 导入存档文件，并入已有档案；格式有误时在选关界面显示原因，不改动已有存档
+ * @param {File} file - 存档 JSON 文件
+ * @returns {Promise<boolean>} 是否导入成功
+ */
+function importSaveFile(file) {
+    return file.text()
+        .then(text => {
+            gameState.save = mergeSave(gameState.save, parseSaveJSON(text));
+            writeSave();
+            switchProfile(gameState.save.activeProfile);
+            saveElements.status.textContent = `已导入存档: ${file.name}`;
+            return true;
+        })
+        .catch(error => {
+            console.error(`存档导入失败 (${file.name}):`, error.message);
+            saveElements.status.textContent = `存档导入失败: ${error.message.split('\n').join('；')}`;
+            return false;
+        });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SAVE_VERSION,
+        DEFAULT_SETTINGS,
+        SETTING_VALUES,
+        SAVE_MIGRATIONS,
+        createProfileData,
+        createSaveData,
+        migrateSave,
+        validateSave,
+        parseSaveJSON,
+        mergeSave
+    };
+}
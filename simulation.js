@@ -0,0 +1,2035 @@
+/**
+ * Angry Birds - 模拟核心
+ * 
+ * 物理、关卡布局、计分和胜负判定，不依赖 DOM 和音频，
+ * 浏览器中作为普通脚本在 game.js 之前加载，也可以在 Node 中 require 后逐步推进
+ */
+
+// ============== 物理常量 ==============
+// 重力加速度，影响小鸟和物体下落速度
+const GRAVITY = 0.5;
+// 摩擦系数，每帧速度衰减比例(0.99表示保留99%速度)
+const FRICTION = 0.99;
+
+// ============== 时间步长 ==============
+// 物理固定步长(毫秒)，所有速度、重力常量都以"每步"为单位，与显示器刷新率无关
+const FIXED_TIMESTEP = 1000 / 60;
+
+// ============== 布局常量 ==============
+// 地面Y坐标占画布高度的比例
+const GROUND_Y_RATIO = 0.85;
+// 弹弓X坐标占画布宽度的比例(0.75表示在右侧3/4处)
+const SLINGSHOT_X_RATIO = 0.75; 
+// 弹弓Y坐标占画布高度的比例
+const SLINGSHOT_Y_RATIO = 0.65;
+
+// ============== 发射参数 ==============
+// 最大拉动距离(像素)，超过此距离不再增加力量
+const MAX_PULL_DISTANCE = 150;
+// 发射力量乘数，将拉动距离转换为初始速度
+const LAUNCH_POWER_MULTIPLIER = 0.38;
+// 最大发射速度，防止速度过快导致穿透
+const MAX_LAUNCH_SPEED = 55;
+
+// ============== 刚体求解参数 ==============
+// 接触求解迭代次数，越大堆叠越稳定
+const SOLVER_ITERATIONS = 20;
+// 物体速度衰减(空气阻力)
+const BODY_DAMPING = 0.99;
+// 木块角速度衰减
+const ANGULAR_DAMPING = 0.98;
+// 接触检测余量(像素)，刚好贴合的物体也生成接触
+const CONTACT_MARGIN = 1;
+// 允许的穿透深度(像素)，低于此值不做位置修正，避免静止接触抖动
+const PENETRATION_SLOP = 0.1;
+// 穿透修正比例，每帧把超出的穿透按此比例转换为分离速度
+const POSITION_CORRECTION = 0.2;
+// 碰撞速度低于此值时不反弹，保证堆叠能静止下来
+const RESTITUTION_THRESHOLD = 1;
+// 速度低于此值的物体开始计入休眠
+const SLEEP_VELOCITY = 0.08;
+// 连续静止多少帧后进入休眠
+const SLEEP_FRAMES = 30;
+// 接触物体速度超过此值时唤醒休眠物体
+const WAKE_VELOCITY = 0.5;
+
+// ============== 连续碰撞检测 ==============
+// 小鸟每个子步最多移动半径的多少倍，不超过半径就不会越过任何厚度的物体
+const BIRD_MAX_TRAVEL_RATIO = 0.5;
+// 猪和木块每个子步最多移动的距离(像素)，取最薄木板厚度的一半
+const BODY_MAX_TRAVEL = 5;
+// 每步最多切分的子步数，限制极端情况下的计算量
+const MAX_BODY_SUBSTEPS = 8;
+
+// ============== 撞击伤害参数 ==============
+// 撞击造成的速度变化超过此值(像素/帧)才掉血，静止接触和轻微磕碰不受伤
+const IMPACT_DAMAGE_THRESHOLD = 4;
+// 撞击伤害系数，速度变化每超出阈值1像素/帧造成的伤害
+const IMPACT_DAMAGE_SCALE = 3;
+
+// ============== 计分 ==============
+// 每造成 1 点伤害得到的分数(按实际扣掉的生命值计算)
+const BLOCK_DAMAGE_POINTS = 1;
+const PIG_DAMAGE_POINTS = 10;
+// 摧毁得分，乘以连击倍率
+const BLOCK_DESTROY_POINTS = 100;
+const PIG_DESTROY_POINTS = 500;
+// 同一发中每多摧毁一个物体，连击倍率增加的值，以及倍率上限
+const COMBO_STEP = 0.25;
+const MAX_COMBO_MULTIPLIER = 3;
+
+// ============== 过关奖励 ==============
+// 每只没用上的小鸟奖励的分数
+const UNUSED_BIRD_BONUS = 1000;
+// 摧毁全部方块时的破坏奖励，按摧毁比例折算
+const DESTRUCTION_BONUS = 2000;
+
+// ============== 材质 ==============
+/**
+ * 材质注册表
+ * 物理参数：health 生命值、density 密度、friction 摩擦系数、restitution 弹性系数
+ * 外观参数：fill 渐变三色、stroke 描边色、particle 碎屑粒子色、texture 表面纹理(none/shine/tnt)
+ * explosion 存在时摧毁会爆炸：radius 波及半径、damage 中心伤害、impulse 中心速度冲击(像素/步)，随距离线性衰减
+ * pig 和 ground 只用到物理参数
+ */
+const BODY_MATERIALS = {
+    wood: {
+        health: 50, density: 1, friction: 0.6, restitution: 0.1,
+        fill: ['#DEB887', '#D2691E', '#8B4513'], stroke: '#654321', particle: '#8B4513', texture: 'none'
+    },
+    stone: {
+        health: 100, density: 2.5, friction: 0.8, restitution: 0.05,
+        fill: ['#A9A9A9', '#808080', '#696969'], stroke: '#404040', particle: '#888', texture: 'none'
+    },
+    glass: {
+        health: 20, density: 0.8, friction: 0.3, restitution: 0.2,
+        fill: ['rgba(225, 245, 255, 0.85)', 'rgba(170, 220, 240, 0.7)', 'rgba(120, 190, 220, 0.8)'],
+        stroke: '#9fd8ef', particle: '#bfefff', texture: 'shine'
+    },
+    ice: {
+        health: 35, density: 0.9, friction: 0.05, restitution: 0.1,
+        fill: ['#e8f8ff', '#b3e5fc', '#81d4fa'], stroke: '#4fc3f7', particle: '#e1f5fe', texture: 'shine'
+    },
+    tnt: {
+        health: 30, density: 0.7, friction: 0.6, restitution: 0.1,
+        fill: ['#e53935', '#c62828', '#8e0000'], stroke: '#4e0000', particle: '#ff6b35', texture: 'tnt',
+        explosion: { radius: 120, damage: 150, impulse: 14 }
+    },
+    pig: { density: 0.8, friction: 0.5, restitution: 0.2 },
+    ground: { friction: 0.8, restitution: 0.1 }
+};
+
+// 注册新材质时未给出的字段取木头的值
+const DEFAULT_MATERIAL = BODY_MATERIALS.wood;
+
+// 内置材质名，关卡的 materials 不能重新定义它们
+const BUILT_IN_MATERIAL_NAMES = new Set(Object.keys(BODY_MATERIALS));
+
+// 当前关卡 materials 中定义的材质(材质名 -> 材质)，只在这一关有效，不写入 BODY_MATERIALS
+let levelMaterials = new Map();
+
+/**
+ * 注册(或覆盖)一种材质，之后关卡定义即可通过 material 字段引用
+ * @param {string} name - 材质名
+ * @param {Object} definition - 材质参数，字段见 BODY_MATERIALS
+ * @returns {Object} 补全默认值后的材质
+ */
+function registerMaterial(name, definition) {
+    BODY_MATERIALS[name] = { ...DEFAULT_MATERIAL, ...definition };
+    return BODY_MATERIALS[name];
+}
+
+/**
+ * 按名字查找材质
+ * @param {string} name - 材质名
+ * @returns {Object} 材质参数
+ * @throws {Error} 材质未注册
+ */
+function getMaterial(name) {
+    const material = levelMaterials.get(name) || BODY_MATERIALS[name];
+    if (!material) throw new Error(`未知材质: ${name}`);
+    return material;
+}
+
+/**
+ * 换上关卡自带的材质，上一关自带的材质随之失效；查找时优先于 BODY_MATERIALS
+ * @param {Object} materials - 关卡的 materials 字段，可省略
+ */
+function setLevelMaterials(materials) {
+    levelMaterials = new Map();
+    Object.entries(materials || {}).forEach(([name, definition]) => {
+        levelMaterials.set(name, { ...DEFAULT_MATERIAL, ...definition });
+    });
+}
+
+// ============== 小鸟 ==============
+/**
+ * 小鸟种类
+ * radius 半径、mass 质量(相对红鸟，放大撞击伤害和推力)、color 备用绘制颜色、sprite 素材图(可为空)
+ * ability 飞行中可触发一次的技能：
+ *   split 分裂成 count 只，相邻两只方向相差 spread 弧度
+ *   dash 沿当前方向加速到 speed
+ *   explode 原地爆炸(参数同材质 explosion)，撞到东西后 fuse 步内未触发会自动引爆
+ *   egg 向下投出一枚落地即爆的蛋，自身获得 boost 向上的速度
+ */
+const BIRD_TYPES = {
+    red: { radius: 22, mass: 1, color: '#ff4444', sprite: 'assets/red_bird_left.png', ability: null },
+    blue: {
+        radius: 14, mass: 0.6, color: '#4fa3ff', sprite: null,
+        ability: { type: 'split', count: 3, spread: 0.2 }
+    },
+    yellow: {
+        radius: 20, mass: 0.9, color: '#f7c948', sprite: null,
+        ability: { type: 'dash', speed: 45 }
+    },
+    black: {
+        radius: 26, mass: 1.6, color: '#333333', sprite: null,
+        ability: { type: 'explode', radius: 140, damage: 200, impulse: 16, fuse: 90 }
+    },
+    white: {
+        radius: 24, mass: 1.3, color: '#f5f5f5', sprite: null,
+        ability: { type: 'egg', boost: 12, egg: { radius: 12, mass: 2, speed: 14, explosion: { radius: 90, damage: 120, impulse: 10 } } }
+    }
+};
+
+/**
+ * 按名字查找小鸟种类
+ * @param {string} name - 小鸟种类名
+ * @returns {Object} 小鸟参数
+ * @throws {Error} 种类不存在
+ */
+function getBirdType(name) {
+    const birdType = BIRD_TYPES[name];
+    if (!birdType) throw new Error(`未知小鸟: ${name}`);
+    return birdType;
+}
+
+/**
+ * 把关卡的 birds 字段统一成小鸟种类数组
+ * 兼容旧格式：数字 N 表示 N 只红鸟，缺省为5只红鸟
+ * @param {number|Array} birds - 小鸟数量或出场顺序 ['red', 'blue', ...]
+ * @returns {Array} 小鸟种类名数组
+ */
+function normalizeBirdLineup(birds) {
+    if (Array.isArray(birds)) {
+        birds.forEach(getBirdType);
+        return birds.slice();
+    }
+    return new Array(birds || 5).fill('red');
+}
+
+/**
+ * 创建指定种类的小鸟
+ * @param {string} typeName - 小鸟种类名
+ * @param {number} x - 初始X坐标
+ * @param {number} y - 初始Y坐标
+ * @returns {Object} 小鸟
+ */
+function createBird(typeName, x, y) {
+    const birdType = getBirdType(typeName);
+    return {
+        type: typeName, x, y,
+        radius: birdType.radius, mass: birdType.mass, color: birdType.color,
+        vx: 0, vy: 0, isLaunched: false, abilityUsed: false, fuse: null
+    };
+}
+
+/**
+ * 物理世界堆叠系统
+ * 确保物体不重叠，只能向上堆叠
+ */
+class PhysicsWorld {
+    constructor(canvasWidth, canvasHeight) {
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+        this.groundY = canvasHeight * GROUND_Y_RATIO;
+        this.occupiedSpaces = [];
+    }
+    
+    /**
+     * 获取物体尺寸
+     */
+    getObjectSize(obj) {
+        if (obj.type === 'pig') {
+            const radius = obj.radius || 20;
+            return { width: radius * 2, height: radius * 2, radius };
+        } else if (obj.type === 'pillar') {
+            return { width: 15, height: obj.height || 80 };
+        } else if (obj.type === 'beam') {
+            return { width: obj.width || 100, height: 15 };
+        } else {
+            return { width: obj.width || 40, height: obj.height || 40 };
+        }
+    }
+    
+    /**
+     * 查找物体应该放置的y坐标（底部）
+     * 检查所有x范围重叠的已放置物体，取最高点
+     */
+    findPlacementY(xLeft, xRight) {
+        let highestTop = this.groundY;
+        
+        for (const space of this.occupiedSpaces) {
+            // 检查x范围是否重叠（有交集）
+            if (xRight > space.xLeft && xLeft < space.xRight) {
+                // x有重叠，新物体必须放在这个物体上方
+                if (space.top < highestTop) {
+                    highestTop = space.top;
+                }
+            }
+        }
+        
+        return highestTop;
+    }
+    
+    /**
+     * 放置物体
+     */
+    placeObject(obj) {
+        const x = obj.x * this.canvasWidth;
+        const size = this.getObjectSize(obj);
+        
+        const xLeft = x - size.width / 2;
+        const xRight = x + size.width / 2;
+        
+        // 找到放置位置
+        const bottomY = this.findPlacementY(xLeft, xRight);
+        const centerY = bottomY - size.height / 2;
+        const topY = bottomY - size.height;
+        
+        // 记录占用空间
+        this.occupiedSpaces.push({
+            xLeft, xRight,
+            top: topY,
+            bottom: bottomY,
+            type: obj.type
+        });
+        
+        if (obj.type === 'pig') {
+            return { type: 'pig', x, y: centerY, radius: size.radius, objectId: obj.id };
+        } else {
+            return {
+                type: 'block', x, y: centerY,
+                width: size.width, height: size.height,
+                material: obj.material || 'wood',
+                objectId: obj.id
+            };
+        }
+    }
+    
+    /**
+     * 处理关卡所有物体
+     */
+    processLevel(objects) {
+        const pigs = [];
+        const blocks = [];
+        
+        for (const obj of objects) {
+            const placed = this.placeObject(obj);
+            
+            if (placed.type === 'pig') {
+                pigs.push(initBodyMass({
+                    shape: 'circle',
+                    x: placed.x, y: placed.y, radius: placed.radius,
+                    health: placed.radius, vx: 0, vy: 0,
+                    objectId: placed.objectId
+                }, 'pig'));
+            } else {
+                blocks.push(initBodyMass({
+                    shape: 'box',
+                    x: placed.x, y: placed.y,
+                    width: placed.width, height: placed.height,
+                    type: placed.material,
+                    health: getMaterial(placed.material).health,
+                    maxHealth: getMaterial(placed.material).health,
+                    vx: 0, vy: 0,
+                    objectId: placed.objectId
+                }, placed.material));
+            }
+        }
+        
+        return { pigs, blocks };
+    }
+}
+
+// ============== 刚体接触求解 ==============
+
+// 地面视为质量无穷大的静态物体
+const GROUND_BODY = {
+    id: 0, x: 0, y: 0, angle: 0, vx: 0, vy: 0, angularVelocity: 0,
+    invMass: 0, invInertia: 0, isStatic: true, ...BODY_MATERIALS.ground
+};
+
+// 刚体编号计数器，用于在帧之间识别同一对接触
+let nextBodyId = 1;
+
+/**
+ * 根据形状和材质计算刚体的质量属性
+ * 猪为圆形且不旋转(转动惯量视为无穷大)，木块为可旋转的矩形
+ * @param {Object} body - 猪或木块
+ * @param {string} materialName - BODY_MATERIALS 中的材质名
+ * @returns {Object} 补充了质量、转动惯量、摩擦、弹性和休眠字段的刚体
+ */
+function initBodyMass(body, materialName) {
+    const material = getMaterial(materialName);
+    body.id = nextBodyId++;
+    body.angle = body.angle || 0;
+    body.angularVelocity = 0;
+    if (body.shape === 'circle') {
+        body.mass = Math.PI * body.radius * body.radius * material.density;
+        body.invInertia = 0;
+    } else {
+        body.mass = body.width * body.height * material.density;
+        const inertia = body.mass * (body.width * body.width + body.height * body.height) / 12;
+        body.invInertia = 1 / inertia;
+    }
+    body.invMass = 1 / body.mass;
+    body.friction = material.friction;
+    body.restitution = material.restitution;
+    body.isSleeping = false;
+    body.sleepFrames = 0;
+    return body;
+}
+
+/**
+ * 唤醒休眠物体，使其重新参与积分
+ * @param {Object} body - 刚体
+ */
+function wakeBody(body) {
+    body.isSleeping = false;
+    body.sleepFrames = 0;
+}
+
+/**
+ * 使物体进入休眠，休眠物体不积分，在求解中视为静止
+ * @param {Object} body - 刚体
+ */
+function sleepBody(body) {
+    body.isSleeping = true;
+    body.vx = 0;
+    body.vy = 0;
+    body.angularVelocity = 0;
+}
+
+function boundingRadius(body) {
+    return body.shape === 'circle' ? body.radius : Math.hypot(body.width, body.height) / 2;
+}
+
+/**
+ * 在指定点对刚体施加冲量，偏离质心的冲量会产生力矩
+ * @param {Object} body - 刚体
+ * @param {number} jx - 冲量X分量
+ * @param {number} jy - 冲量Y分量
+ * @param {number} px - 作用点X坐标
+ * @param {number} py - 作用点Y坐标
+ */
+function applyImpulseAt(body, jx, jy, px, py) {
+    wakeBody(body);
+    body.vx += jx * body.invMass;
+    body.vy += jy * body.invMass;
+    body.angularVelocity += ((px - body.x) * jy - (py - body.y) * jx) * body.invInertia;
+}
+
+/**
+ * 获取矩形的四个角点(世界坐标)，按顺时针顺序
+ * @param {Object} box - 矩形刚体 {x, y, width, height, angle}
+ * @returns {Array} 角点数组 [{x, y}]
+ */
+function getBoxCorners(box) {
+    const c = Math.cos(box.angle), s = Math.sin(box.angle);
+    const hw = box.width / 2, hh = box.height / 2;
+    return [[-hw, -hh], [hw, -hh], [hw, hh], [-hw, hh]].map(([lx, ly]) => ({
+        x: box.x + lx * c - ly * s,
+        y: box.y + lx * s + ly * c
+    }));
+}
+
+/**
+ * 检测两个刚体之间的接触
+ * 法线始终从 a 指向 b，penetration 为正表示重叠，为负表示尚有间隙
+ * @param {Object} a - 刚体a
+ * @param {Object} b - 刚体b
+ * @returns {Array} 接触点数组 [{nx, ny, penetration, px, py, feature}]
+ */
+function collideBodies(a, b) {
+    if (a.shape === 'circle' && b.shape === 'circle') return collideCircleCircle(a, b);
+    if (a.shape === 'circle') return collideCircleBox(a, b);
+    if (b.shape === 'circle') return collideCircleBox(b, a).map(flipContact);
+    return collideBoxBox(a, b);
+}
+
+function flipContact(contact) {
+    contact.nx = -contact.nx;
+    contact.ny = -contact.ny;
+    return contact;
+}
+
+function collideCircleCircle(a, b) {
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    const penetration = a.radius + b.radius - dist;
+    if (penetration < -CONTACT_MARGIN) return [];
+    const nx = dist > 0 ? dx / dist : 0;
+    const ny = dist > 0 ? dy / dist : 1;
+    return [{ nx, ny, penetration, px: a.x + nx * a.radius, py: a.y + ny * a.radius, feature: 0 }];
+}
+
+/**
+ * 圆形与旋转矩形的接触
+ * 先把圆心变换到矩形局部坐标系，再按轴对齐矩形求最近点
+ */
+function collideCircleBox(circle, box) {
+    const c = Math.cos(box.angle), s = Math.sin(box.angle);
+    const halfW = box.width / 2, halfH = box.height / 2;
+    const dx = circle.x - box.x, dy = circle.y - box.y;
+    const localX = dx * c + dy * s;
+    const localY = -dx * s + dy * c;
+    const closestX = Math.max(-halfW, Math.min(localX, halfW));
+    const closestY = Math.max(-halfH, Math.min(localY, halfH));
+    let localNx, localNy, penetration;
+    
+    if (closestX === localX && closestY === localY) {
+        // 圆心已进入矩形内部，沿重叠最浅的方向推出
+        const overlapX = halfW - Math.abs(localX), overlapY = halfH - Math.abs(localY);
+        if (overlapX < overlapY) {
+            localNx = localX > 0 ? -1 : 1; localNy = 0;
+            penetration = overlapX + circle.radius;
+        } else {
+            localNx = 0; localNy = localY > 0 ? -1 : 1;
+            penetration = overlapY + circle.radius;
+        }
+    } else {
+        const ox = localX - closestX, oy = localY - closestY;
+        const dist = Math.sqrt(ox * ox + oy * oy);
+        penetration = circle.radius - dist;
+        if (penetration < -CONTACT_MARGIN) return [];
+        localNx = -ox / dist; localNy = -oy / dist;
+    }
+    return [{
+        nx: localNx * c - localNy * s,
+        ny: localNx * s + localNy * c,
+        penetration,
+        px: box.x + closestX * c - closestY * s,
+        py: box.y + closestX * s + closestY * c,
+        feature: 0
+    }];
+}
+
+/**
+ * 两个旋转矩形的接触(分离轴定理 + 入射边裁剪)
+ * 选穿透最浅的轴作为参考面，把另一个矩形上最对着参考面的边裁剪到参考面范围内，
+ * 最多得到两个接触点，矩形平躺在另一个矩形上时才能稳定不转
+ */
+function collideBoxBox(a, b) {
+    let best = null;
+    for (const [ref, inc] of [[a, b], [b, a]]) {
+        const c = Math.cos(ref.angle), s = Math.sin(ref.angle);
+        const axes = [
+            { x: c, y: s, half: ref.width / 2, tangentHalf: ref.height / 2 },
+            { x: -s, y: c, half: ref.height / 2, tangentHalf: ref.width / 2 }
+        ];
+        for (const axis of axes) {
+            const d = (inc.x - ref.x) * axis.x + (inc.y - ref.y) * axis.y;
+            const incC = Math.cos(inc.angle), incS = Math.sin(inc.angle);
+            const incHalf = Math.abs(axis.x * incC + axis.y * incS) * inc.width / 2 +
+                            Math.abs(-axis.x * incS + axis.y * incC) * inc.height / 2;
+            const separation = Math.abs(d) - axis.half - incHalf;
+            if (separation > CONTACT_MARGIN) return [];
+            // 优先选择a的面，避免两个面穿透相近时参考面来回切换
+            if (!best || separation > best.separation + 0.1) {
+                const sign = d >= 0 ? 1 : -1;
+                best = { ref, inc, separation, nx: axis.x * sign, ny: axis.y * sign, half: axis.half, tangentHalf: axis.tangentHalf };
+            }
+        }
+    }
+    
+    const { ref, inc, nx, ny } = best;
+    // 入射边：入射矩形上法线与参考面法线最相反的那条边
+    const corners = getBoxCorners(inc);
+    let incidentIndex = 0, minDot = Infinity;
+    for (let i = 0; i < 4; i++) {
+        const p1 = corners[i], p2 = corners[(i + 1) % 4];
+        const edgeNx = p2.y - p1.y, edgeNy = -(p2.x - p1.x);
+        const dot = (edgeNx * nx + edgeNy * ny) / Math.hypot(edgeNx, edgeNy);
+        if (dot < minDot) {
+            minDot = dot;
+            incidentIndex = i;
+        }
+    }
+    let points = [corners[incidentIndex], corners[(incidentIndex + 1) % 4]];
+    
+    // 沿参考面切向裁剪到参考面两端
+    const tx = -ny, ty = nx;
+    const refTangent = ref.x * tx + ref.y * ty;
+    points = clipSegment(points, tx, ty, refTangent + best.tangentHalf);
+    points = clipSegment(points, -tx, -ty, -refTangent + best.tangentHalf);
+    
+    const refFace = ref.x * nx + ref.y * ny + best.half;
+    const contacts = [];
+    points.forEach((p, i) => {
+        const penetration = refFace - (p.x * nx + p.y * ny);
+        if (penetration < -CONTACT_MARGIN) return;
+        contacts.push({ nx, ny, penetration, px: p.x, py: p.y, feature: (ref === a ? 0 : 2) + i });
+    });
+    return ref === a ? contacts : contacts.map(flipContact);
+}
+
+/**
+ * 用半平面裁剪线段，保留满足 dot(n, p) <= offset 的部分
+ * @param {Array} points - 线段两个端点
+ * @returns {Array} 裁剪后的端点(0~2个)
+ */
+function clipSegment(points, nx, ny, offset) {
+    if (points.length < 2) return points;
+    const [p1, p2] = points;
+    const d1 = p1.x * nx + p1.y * ny - offset;
+    const d2 = p2.x * nx + p2.y * ny - offset;
+    const result = [];
+    if (d1 <= 0) result.push(p1);
+    if (d2 <= 0) result.push(p2);
+    if (d1 * d2 < 0) {
+        const t = d1 / (d1 - d2);
+        result.push({ x: p1.x + (p2.x - p1.x) * t, y: p1.y + (p2.y - p1.y) * t });
+    }
+    return result;
+}
+
+/**
+ * 检测刚体与地面的接触
+ * 矩形取每个触地的角点作为接触点，倾斜的木块才能绕角点翻倒
+ * @param {Object} body - 刚体
+ * @param {number} groundY - 地面Y坐标
+ * @returns {Array} 接触点数组，法线朝下指向地面
+ */
+function collideGround(body, groundY) {
+    if (body.shape === 'circle') {
+        const penetration = body.y + body.radius - groundY;
+        if (penetration < -CONTACT_MARGIN) return [];
+        return [{ nx: 0, ny: 1, penetration, px: body.x, py: groundY, feature: 0 }];
+    }
+    const contacts = [];
+    getBoxCorners(body).forEach((corner, i) => {
+        const penetration = corner.y - groundY;
+        if (penetration >= -CONTACT_MARGIN) {
+            contacts.push({ nx: 0, ny: 1, penetration, px: corner.x, py: corner.y, feature: i });
+        }
+    });
+    return contacts;
+}
+
+/**
+ * 计算接触点处b相对a的速度
+ */
+function relativeVelocityAt(contact) {
+    const { a, b } = contact;
+    return {
+        x: b.vx - b.angularVelocity * contact.rby - (a.vx - a.angularVelocity * contact.ray),
+        y: b.vy + b.angularVelocity * contact.rbx - (a.vy + a.angularVelocity * contact.rax)
+    };
+}
+
+/**
+ * 沿某方向的有效质量(含转动项)的倒数
+ */
+function effectiveMass(contact, dirX, dirY) {
+    const rnA = contact.rax * dirY - contact.ray * dirX;
+    const rnB = contact.rbx * dirY - contact.rby * dirX;
+    const k = contact.invMassA + contact.invMassB +
+              contact.invInertiaA * rnA * rnA + contact.invInertiaB * rnB * rnB;
+    return k > 0 ? 1 / k : 0;
+}
+
+/**
+ * 预计算接触约束
+ * 休眠物体在求解中视为静止；接触物体运动较快时先唤醒它
+ * @param {Object} contact - 接触点
+ * @param {Object} a - 刚体a
+ * @param {Object} b - 刚体b
+ * @param {number} dt - 当前子步长
+ * @returns {boolean} 该接触是否需要参与求解
+ */
+function prepareContact(contact, a, b, dt) {
+    a.hasContact = true;
+    b.hasContact = true;
+    if (a.isSleeping && !b.isStatic && !b.isSleeping && bodySpeed(b) > WAKE_VELOCITY) wakeBody(a);
+    if (b.isSleeping && !a.isStatic && !a.isSleeping && bodySpeed(a) > WAKE_VELOCITY) wakeBody(b);
+    
+    contact.a = a;
+    contact.b = b;
+    contact.invMassA = a.isSleeping ? 0 : a.invMass;
+    contact.invMassB = b.isSleeping ? 0 : b.invMass;
+    contact.invInertiaA = a.isSleeping ? 0 : a.invInertia;
+    contact.invInertiaB = b.isSleeping ? 0 : b.invInertia;
+    if (contact.invMassA + contact.invMassB === 0) return false;
+    
+    contact.rax = contact.px - a.x;
+    contact.ray = contact.py - a.y;
+    contact.rbx = contact.px - b.x;
+    contact.rby = contact.py - b.y;
+    contact.normalMass = effectiveMass(contact, contact.nx, contact.ny);
+    contact.tangentMass = effectiveMass(contact, -contact.ny, contact.nx);
+    contact.friction = Math.sqrt(a.friction * b.friction);
+    contact.key = a.id + ':' + b.id + ':' + contact.feature;
+    
+    // 目标法向分离速度：有间隙时允许以间隙速度靠近，高速碰撞时反弹
+    // 穿透不在这里修正(会给静止堆叠注入速度)，由 correctPositions 直接推开
+    const rv = relativeVelocityAt(contact);
+    const vn = rv.x * contact.nx + rv.y * contact.ny;
+    let target = Math.min(contact.penetration, 0) / dt;
+    contact.approachSpeed = -vn;
+    if (vn < -RESTITUTION_THRESHOLD) {
+        target = Math.max(target, -vn * Math.max(a.restitution, b.restitution));
+    }
+    contact.target = target;
+    return true;
+}
+
+/**
+ * 热启动：先施加上一帧同一接触的累积冲量
+ * 必须在所有接触都算好目标速度之后执行
+ * @param {Object} contact - prepareContact 处理过的接触
+ * @param {Map} cache - 上一步的接触冲量缓存
+ * @param {number} dt - 当前子步长
+ */
+function warmStartContact(contact, cache, dt) {
+    const cached = cache.get(contact.key);
+    contact.normalImpulse = cached ? cached.normalImpulse * dt : 0;
+    contact.tangentImpulse = cached ? cached.tangentImpulse * dt : 0;
+    const tx = -contact.ny, ty = contact.nx;
+    applyContactImpulse(contact,
+        contact.nx * contact.normalImpulse + tx * contact.tangentImpulse,
+        contact.ny * contact.normalImpulse + ty * contact.tangentImpulse);
+}
+
+function applyContactImpulse(contact, jx, jy) {
+    const { a, b } = contact;
+    a.vx -= jx * contact.invMassA;
+    a.vy -= jy * contact.invMassA;
+    a.angularVelocity -= (contact.rax * jy - contact.ray * jx) * contact.invInertiaA;
+    b.vx += jx * contact.invMassB;
+    b.vy += jy * contact.invMassB;
+    b.angularVelocity += (contact.rbx * jy - contact.rby * jx) * contact.invInertiaB;
+}
+
+/**
+ * 顺序冲量法求解单个接触：法向冲量累积非负，摩擦冲量受库仑摩擦锥限制
+ * @param {Object} contact - prepareContact 处理过的接触
+ */
+function solveContact(contact) {
+    const { nx, ny } = contact;
+    
+    let rv = relativeVelocityAt(contact);
+    const vn = rv.x * nx + rv.y * ny;
+    const oldNormal = contact.normalImpulse;
+    contact.normalImpulse = Math.max(oldNormal + (contact.target - vn) * contact.normalMass, 0);
+    const jn = contact.normalImpulse - oldNormal;
+    applyContactImpulse(contact, nx * jn, ny * jn);
+    
+    const tx = -ny, ty = nx;
+    rv = relativeVelocityAt(contact);
+    const vt = rv.x * tx + rv.y * ty;
+    const maxFriction = contact.friction * contact.normalImpulse;
+    const oldTangent = contact.tangentImpulse;
+    contact.tangentImpulse = Math.max(-maxFriction, Math.min(oldTangent - vt * contact.tangentMass, maxFriction));
+    const jt = contact.tangentImpulse - oldTangent;
+    applyContactImpulse(contact, tx * jt, ty * jt);
+}
+
+/**
+ * 按穿透深度直接修正位置，把重叠的物体沿法线推开
+ * 只修改位置不修改速度，静止堆叠不会因此抖动
+ * @param {Object} contact - 已求解的接触
+ */
+function correctPosition(contact) {
+    const { a, b, nx, ny } = contact;
+    const invMassSum = contact.invMassA + contact.invMassB;
+    const correction = Math.max(contact.penetration - PENETRATION_SLOP, 0) * POSITION_CORRECTION / invMassSum;
+    a.x -= nx * correction * contact.invMassA;
+    a.y -= ny * correction * contact.invMassA;
+    b.x += nx * correction * contact.invMassB;
+    b.y += ny * correction * contact.invMassB;
+}
+
+/**
+ * 刚体上最快一点的速度(线速度 + 转动引起的边缘速度)
+ * @param {Object} body - 刚体
+ * @returns {number} 速度大小
+ */
+function bodySpeed(body) {
+    const extent = body.shape === 'circle' ? body.radius : Math.max(body.width, body.height) / 2;
+    return Math.hypot(body.vx, body.vy) + Math.abs(body.angularVelocity) * extent;
+}
+
+// ============== 关卡校验 ==============
+// 关卡物体类型
+const OBJECT_TYPES = ['pillar', 'beam', 'block', 'pig'];
+// 关卡目标类型及其参数
+const OBJECTIVE_TYPES = {
+    destroyAllPigs: [],
+    score: ['target'],
+    destroy: ['target'],
+    timeLimit: ['seconds'],
+    protect: ['target']
+};
+// 物体尺寸(像素)上限，防止笔误写出覆盖整个画面的物体
+const MAX_OBJECT_SIZE = 2000;
+// 物体尺寸字段的取值范围，关卡编辑器输入时也按这个范围检查
+const OBJECT_SIZE_RANGES = {
+    width: { min: 1, max: MAX_OBJECT_SIZE },
+    height: { min: 1, max: MAX_OBJECT_SIZE },
+    radius: { min: 1, max: MAX_OBJECT_SIZE / 2 }
+};
+// 材质贴图纹理
+const MATERIAL_TEXTURES = ['none', 'shine', 'tnt'];
+
+function isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+function describeValue(value) {
+    return value === undefined ? '缺失' : JSON.stringify(value);
+}
+
+/**
+ * 校验数值字段，不满足时把错误信息追加到 errors
+ * @param {Array} errors - 错误信息数组
+ * @param {string} path - 字段路径，用于错误信息
+ * @param {*} value - 字段值
+ * @param {number} min - 最小值(含)
+ * @param {number} max - 最大值(含)
+ * @param {boolean} required - 是否必填
+ */
+function checkNumber(errors, path, value, min, max, required) {
+    if (value === undefined) {
+        if (required) errors.push(`${path} 缺失(必填)`);
+        return;
+    }
+    if (!isNumber(value)) {
+        errors.push(`${path} 必须是数字，实际为 ${describeValue(value)}`);
+    } else if (value < min || value > max) {
+        errors.push(`${path} 超出范围 ${min}~${max}，实际为 ${value}`);
+    }
+}
+
+function checkColor(errors, path, value) {
+    if (typeof value !== 'string' || value.length === 0) errors.push(`${path} 必须是颜色字符串，实际为 ${describeValue(value)}`);
+}
+
+function checkColorList(errors, path, value, length) {
+    if (!Array.isArray(value) || value.length !== length) {
+        errors.push(`${path} 必须是 ${length} 个颜色组成的数组`);
+        return;
+    }
+    value.forEach((color, i) => checkColor(errors, `${path}[${i}]`, color));
+}
+
+/**
+ * 校验关卡中自定义的材质定义
+ */
+function validateMaterialDefinition(errors, path, definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        errors.push(`${path} 必须是对象`);
+        return;
+    }
+    checkNumber(errors, `${path}.health`, definition.health, 1, 100000, false);
+    checkNumber(errors, `${path}.density`, definition.density, 0.01, 100, false);
+    checkNumber(errors, `${path}.friction`, definition.friction, 0, 2, false);
+    checkNumber(errors, `${path}.restitution`, definition.restitution, 0, 1, false);
+    if (definition.fill !== undefined) checkColorList(errors, `${path}.fill`, definition.fill, 3);
+    if (definition.stroke !== undefined) checkColor(errors, `${path}.stroke`, definition.stroke);
+    if (definition.particle !== undefined) checkColor(errors, `${path}.particle`, definition.particle);
+    if (definition.texture !== undefined && !MATERIAL_TEXTURES.includes(definition.texture)) {
+        errors.push(`${path}.texture 未知: ${describeValue(definition.texture)}(可选 ${MATERIAL_TEXTURES.join('、')})`);
+    }
+    if (definition.explosion !== undefined) {
+        const explosion = definition.explosion;
+        if (!explosion || typeof explosion !== 'object') {
+            errors.push(`${path}.explosion 必须是对象`);
+        } else {
+            checkNumber(errors, `${path}.explosion.radius`, explosion.radius, 1, MAX_OBJECT_SIZE, true);
+            checkNumber(errors, `${path}.explosion.damage`, explosion.damage, 0, 100000, true);
+            checkNumber(errors, `${path}.explosion.impulse`, explosion.impulse, 0, MAX_LAUNCH_SPEED, true);
+        }
+    }
+}
+
+/**
+ * 校验关卡数据是否符合关卡格式(见 README「关卡文件格式」)
+ * 在交给 PhysicsWorld.processLevel 之前调用，一次列出全部问题
+ * @param {Object} level - 关卡数据
+ * @returns {Array} 错误信息数组，为空表示合法
+ */
+function validateLevel(level) {
+    const errors = [];
+    if (!level || typeof level !== 'object' || Array.isArray(level)) {
+        return ['关卡必须是 JSON 对象'];
+    }
+    if (level.name !== undefined && typeof level.name !== 'string') {
+        errors.push(`name 必须是字符串，实际为 ${describeValue(level.name)}`);
+    }
+    
+    // 材质：关卡内定义的材质可以被本关物体引用，其他关卡定义的材质不算
+    const materialNames = new Set(Object.keys(BODY_MATERIALS).filter(name => name !== 'pig' && name !== 'ground'));
+    if (level.materials !== undefined) {
+        if (!level.materials || typeof level.materials !== 'object' || Array.isArray(level.materials)) {
+            errors.push('materials 必须是 { 材质名: 材质定义 } 形式的对象');
+        } else {
+            Object.entries(level.materials).forEach(([name, definition]) => {
+                if (BUILT_IN_MATERIAL_NAMES.has(name)) {
+                    errors.push(`materials.${name} 是内置材质，不能在关卡中重新定义`);
+                    return;
+                }
+                validateMaterialDefinition(errors, `materials.${name}`, definition);
+                materialNames.add(name);
+            });
+        }
+    }
+    
+    // 小鸟：数量或出场顺序
+    if (level.birds !== undefined) {
+        if (Array.isArray(level.birds)) {
+            if (level.birds.length === 0) errors.push('birds 至少要有一只小鸟');
+            level.birds.forEach((name, i) => {
+                if (!BIRD_TYPES[name]) {
+                    errors.push(`birds[${i}] 未知小鸟: ${describeValue(name)}(可选 ${Object.keys(BIRD_TYPES).join('、')})`);
+                }
+            });
+        } else if (!Number.isInteger(level.birds) || level.birds < 1 || level.birds > 50) {
+            errors.push(`birds 必须是 1~50 的整数或小鸟种类数组，实际为 ${describeValue(level.birds)}`);
+        }
+    }
+    
+    // 物体
+    const objectIds = new Set();
+    if (!Array.isArray(level.objects)) {
+        errors.push(`objects 必须是数组，实际为 ${describeValue(level.objects)}`);
+    } else {
+        if (!level.objects.some(obj => obj && obj.type === 'pig')) errors.push('objects 中至少要有一只猪');
+        level.objects.forEach((obj, i) => {
+            const path = `objects[${i}]`;
+            if (!obj || typeof obj !== 'object') {
+                errors.push(`${path} 必须是对象`);
+                return;
+            }
+            if (!OBJECT_TYPES.includes(obj.type)) {
+                errors.push(`${path}.type 未知: ${describeValue(obj.type)}(可选 ${OBJECT_TYPES.join('、')})`);
+            }
+            checkNumber(errors, `${path}.x`, obj.x, 0, 1, true);
+            Object.entries(OBJECT_SIZE_RANGES).forEach(([field, range]) => {
+                checkNumber(errors, `${path}.${field}`, obj[field], range.min, range.max, false);
+            });
+            if (obj.material !== undefined && !materialNames.has(obj.material)) {
+                errors.push(`${path}.material 未知: ${describeValue(obj.material)}(可选 ${[...materialNames].join('、')})`);
+            }
+            if (obj.id !== undefined) {
+                if (typeof obj.id !== 'string' || obj.id.length === 0) errors.push(`${path}.id 必须是非空字符串`);
+                else if (objectIds.has(obj.id)) errors.push(`${path}.id 重复: ${describeValue(obj.id)}`);
+                else objectIds.add(obj.id);
+            }
+        });
+    }
+    
+    // 背景
+    if (level.background !== undefined) {
+        const background = level.background;
+        if (!background || typeof background !== 'object' || Array.isArray(background)) {
+            errors.push('background 必须是对象');
+        } else {
+            if (background.sky !== undefined) checkColorList(errors, 'background.sky', background.sky, 3);
+            if (background.ground !== undefined) checkColorList(errors, 'background.ground', background.ground, 2);
+        }
+    }
+    
+    // 星级分数线
+    if (level.stars !== undefined) {
+        if (!Array.isArray(level.stars) || level.stars.length !== 3) {
+            errors.push('stars 必须是 3 个分数组成的数组(1星、2星、3星)');
+        } else {
+            level.stars.forEach((score, i) => checkNumber(errors, `stars[${i}]`, score, 0, 10000000, true));
+            if (level.stars.every(isNumber) && !(level.stars[0] <= level.stars[1] && level.stars[1] <= level.stars[2])) {
+                errors.push(`stars 必须从小到大排列，实际为 ${JSON.stringify(level.stars)}`);
+            }
+        }
+    }
+    
+    // 目标
+    if (level.objectives !== undefined) {
+        if (!Array.isArray(level.objectives)) {
+            errors.push('objectives 必须是数组');
+        } else {
+            level.objectives.forEach((objective, i) => {
+                const path = `objectives[${i}]`;
+                if (!objective || !OBJECTIVE_TYPES[objective.type]) {
+                    errors.push(`${path}.type 未知: ${describeValue(objective && objective.type)}(可选 ${Object.keys(OBJECTIVE_TYPES).join('、')})`);
+                    return;
+                }
+                if (objective.type === 'score') checkNumber(errors, `${path}.target`, objective.target, 1, 10000000, true);
+                if (objective.type === 'timeLimit') checkNumber(errors, `${path}.seconds`, objective.seconds, 1, 3600, true);
+                if (objective.type === 'destroy' || objective.type === 'protect') {
+                    if (!objectIds.has(objective.target)) {
+                        errors.push(`${path}.target 必须是 objects 中某个物体的 id，实际为 ${describeValue(objective.target)}`);
+                    }
+                }
+            });
+        }
+    }
+    
+    return errors;
+}
+
+/**
+ * 校验关卡包：{ name, id, unlockStars, levels: [关卡...] }
+ * 每个关卡的错误前加上 levels[i] 前缀
+ * @param {Object} pack - 关卡包数据
+ * @returns {Array} 错误信息数组，为空表示合法
+ */
+function validateLevelPack(pack) {
+    const errors = [];
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+        return ['关卡包必须是 JSON 对象'];
+    }
+    if (pack.name !== undefined && typeof pack.name !== 'string') {
+        errors.push(`name 必须是字符串，实际为 ${describeValue(pack.name)}`);
+    }
+    if (pack.id !== undefined && (typeof pack.id !== 'string' || pack.id.length === 0)) {
+        errors.push(`id 必须是非空字符串，实际为 ${describeValue(pack.id)}`);
+    }
+    checkNumber(errors, 'unlockStars', pack.unlockStars, 0, 10000, false);
+    if (!Array.isArray(pack.levels) || pack.levels.length === 0) {
+        errors.push('levels 必须是非空数组');
+        return errors;
+    }
+    pack.levels.forEach((level, i) => {
+        validateLevel(level).forEach(error => errors.push(`levels[${i}].${error}`));
+    });
+    return errors;
+}
+
+function parseJSONText(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`JSON 解析失败: ${error.message}`);
+    }
+}
+
+/**
+ * 解析并校验 JSON 格式的关卡
+ * @param {string} text - JSON 文本
+ * @returns {Object} 关卡数据
+ * @throws {Error} JSON 语法错误或关卡格式不合法，message 中逐行列出问题
+ */
+function parseLevelJSON(text) {
+    const level = parseJSONText(text);
+    const errors = validateLevel(level);
+    if (errors.length > 0) throw new Error(errors.join('\n'));
+    return level;
+}
+
+/**
+ * 解析关卡文件：带 levels 数组的是关卡包，否则按单个关卡处理
+ * @param {string} text - JSON 文本
+ * @returns {Object} { pack } 或 { level }
+ * @throws {Error} JSON 语法错误或格式不合法，message 中逐行列出问题
+ */
+function parseLevelFile(text) {
+    const data = parseJSONText(text);
+    const isPack = data && typeof data === 'object' && Array.isArray(data.levels);
+    const errors = isPack ? validateLevelPack(data) : validateLevel(data);
+    if (errors.length > 0) throw new Error(errors.join('\n'));
+    return isPack ? { pack: data } : { level: data };
+}
+
+/**
+ * 新的一发的得分统计
+ */
+function createShotStats() {
+    return { points: 0, kills: 0, maxCombo: 1 };
+}
+
+// ============== 关卡目标 ==============
+// 需要达成的目标；timeLimit 和 protect 是失败条件
+const OBJECTIVE_GOALS = ['destroyAllPigs', 'score', 'destroy'];
+
+/**
+ * 补全关卡目标：没有列出任何需要达成的目标时，默认消灭所有猪
+ * @param {Array} objectives - 关卡定义中的 objectives，可以缺省
+ * @returns {Array} 目标列表
+ */
+function normalizeObjectives(objectives) {
+    const list = objectives ? objectives.slice() : [];
+    if (!list.some(objective => OBJECTIVE_GOALS.includes(objective.type))) {
+        list.unshift({ type: 'destroyAllPigs' });
+    }
+    return list;
+}
+
+// ============== 游戏世界 ==============
+
+/**
+ * 根据拉动向量计算发射速度
+ * 拉动方向的反方向发射，速度不超过 MAX_LAUNCH_SPEED
+ * @param {number} pullDx - 拉动X分量(像素)
+ * @param {number} pullDy - 拉动Y分量(像素)
+ * @returns {Object} 发射速度 {x, y}
+ */
+function computeLaunchVelocity(pullDx, pullDy) {
+    let vx = -pullDx * LAUNCH_POWER_MULTIPLIER;
+    let vy = -pullDy * LAUNCH_POWER_MULTIPLIER;
+    const speed = Math.sqrt(vx * vx + vy * vy);
+    if (speed > MAX_LAUNCH_SPEED) {
+        const scale = MAX_LAUNCH_SPEED / speed;
+        vx *= scale;
+        vy *= scale;
+    }
+    return { x: vx, y: vy };
+}
+
+/**
+ * 游戏世界：一局关卡的全部模拟状态
+ * 不访问 DOM、不播放声音、不使用随机数，相同的输入在任何环境下得到相同的结果。
+ * 界面需要的反馈(粒子、音效、分数显示)通过 drainEvents() 取出的事件驱动
+ */
+class GameWorld {
+    /**
+     * @param {number} width - 世界宽度(像素)
+     * @param {number} height - 世界高度(像素)
+     */
+    constructor(width, height) {
+        this.setSize(width, height);
+        this.pigs = [];
+        this.blocks = [];
+        // 弹弓上或主控的小鸟；飞行中的小鸟(含分裂出的小鸟和蛋)都在 flyingBirds 中
+        this.bird = null;
+        this.flyingBirds = [];
+        this.lineup = [];
+        this.background = null;
+        // 关卡目标(已补全默认目标)，进度见 evaluateObjectives
+        this.objectives = [];
+        this.initialPigs = 0;
+        this.initialBlocks = 0;
+        // 1~3 星的分数线
+        this.starThresholds = [0, 0, 0];
+        // 过关结算明细，见 applyLevelBonus
+        this.levelBonus = null;
+        // 当前这一发的得分统计，见 getShotSummary
+        this.shot = createShotStats();
+        // 被摧毁物体的 id，用于 destroy / protect 目标
+        this.destroyedIds = new Set();
+        // 本关已推进的固定步数，用于 timeLimit 目标
+        this.elapsedSteps = 0;
+        this.score = 0;
+        this.birdsLeft = 0;
+        this.totalBirds = 0;
+        this.events = [];
+        // 上一步的接触冲量缓存，用于热启动(warm starting)，让堆叠更快收敛
+        this.contactCache = new Map();
+    }
+    
+    /**
+     * 设置世界尺寸，地面和弹弓位置按比例随之变化
+     * 已放置的物体不会移动，下次 loadLevel 时按新尺寸布局
+     */
+    setSize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.groundY = height * GROUND_Y_RATIO;
+        this.slingshot = { x: width * SLINGSHOT_X_RATIO, y: height * SLINGSHOT_Y_RATIO };
+    }
+    
+    /**
+     * 加载关卡：按关卡定义堆叠物体，补满小鸟并放上第一只
+     * 分数按关卡计算(星级分数线和 score 目标都针对单关)，加载时清零
+     * @param {Object} levelData - 关卡定义 {birds, objects, materials, background, objectives, stars}，格式见 validateLevel
+     * @throws {Error} 关卡格式不合法
+     */
+    loadLevel(levelData) {
+        const errors = validateLevel(levelData);
+        if (errors.length > 0) throw new Error(errors.join('\n'));
+        setLevelMaterials(levelData.materials);
+        
+        const physicsWorld = new PhysicsWorld(this.width, this.height);
+        const { pigs, blocks } = physicsWorld.processLevel(levelData.objects);
+        
+        // 搭好的结构在被击中前保持静止，避免刚好平衡的结构因数值误差自行倒塌
+        pigs.forEach(sleepBody);
+        blocks.forEach(sleepBody);
+        this.pigs = pigs;
+        this.blocks = blocks;
+        this.background = levelData.background || null;
+        this.objectives = normalizeObjectives(levelData.objectives);
+        this.initialPigs = pigs.length;
+        this.initialBlocks = blocks.length;
+        this.levelBonus = null;
+        this.score = 0;
+        this.shot = createShotStats();
+        this.destroyedIds = new Set();
+        this.elapsedSteps = 0;
+        this.lineup = normalizeBirdLineup(levelData.birds);
+        this.totalBirds = this.lineup.length;
+        this.birdsLeft = this.totalBirds;
+        this.starThresholds = levelData.stars ? levelData.stars.slice() : this.getDefaultStarThresholds();
+        this.flyingBirds = [];
+        this.events = [];
+        this.contactCache = new Map();
+        this.spawnBird();
+    }
+    
+    /**
+     * 在弹弓位置放上出场顺序中的下一只小鸟
+     */
+    spawnBird() {
+        const typeName = this.lineup[this.totalBirds - this.birdsLeft] || 'red';
+        this.bird = createBird(typeName, this.slingshot.x, this.slingshot.y);
+    }
+    
+    /**
+     * 下一只要上弹弓的小鸟种类(当前小鸟之后)
+     * @returns {string|null} 小鸟种类名，没有剩余时为null
+     */
+    getNextBirdType() {
+        const offset = this.bird && !this.bird.isLaunched ? 1 : 0;
+        return this.lineup[this.totalBirds - this.birdsLeft + offset] || null;
+    }
+    
+    /**
+     * 把待发射的小鸟放回弹弓原点
+     */
+    resetBird() {
+        if (!this.bird || this.bird.isLaunched) return;
+        this.bird.x = this.slingshot.x;
+        this.bird.y = this.slingshot.y;
+    }
+    
+    /**
+     * 以指定速度发射当前小鸟
+     * @param {number} vx - 初速度X分量(像素/步)
+     * @param {number} vy - 初速度Y分量(像素/步)
+     * @returns {boolean} 是否发射成功
+     */
+    launchBird(vx, vy) {
+        if (!this.bird || this.bird.isLaunched) return false;
+        this.bird.vx = vx;
+        this.bird.vy = vy;
+        this.bird.isLaunched = true;
+        this.flyingBirds.push(this.bird);
+        this.birdsLeft--;
+        this.shot = createShotStats();
+        return true;
+    }
+    
+    /**
+     * 触发当前飞行小鸟的技能，每只小鸟只能触发一次
+     * @returns {boolean} 是否触发成功
+     */
+    activateAbility() {
+        const bird = this.bird;
+        if (!bird || !bird.isLaunched || bird.abilityUsed) return false;
+        const ability = getBirdType(bird.type).ability;
+        if (!ability) return false;
+        bird.abilityUsed = true;
+        this.events.push({ type: 'ability', ability: ability.type, x: bird.x, y: bird.y });
+        
+        const speed = Math.hypot(bird.vx, bird.vy);
+        if (ability.type === 'split') {
+            const angle = Math.atan2(bird.vy, bird.vx);
+            for (let i = 0; i < ability.count; i++) {
+                const offset = (i - (ability.count - 1) / 2) * ability.spread;
+                if (offset === 0) continue;
+                const clone = createBird(bird.type, bird.x, bird.y);
+                clone.isLaunched = true;
+                clone.abilityUsed = true;
+                clone.vx = Math.cos(angle + offset) * speed;
+                clone.vy = Math.sin(angle + offset) * speed;
+                this.flyingBirds.push(clone);
+            }
+        } else if (ability.type === 'dash') {
+            if (speed > 0) {
+                bird.vx = bird.vx / speed * ability.speed;
+                bird.vy = bird.vy / speed * ability.speed;
+            }
+        } else if (ability.type === 'explode') {
+            this.birdStopped(bird);
+            this.explode(bird.x, bird.y, ability);
+        } else if (ability.type === 'egg') {
+            const egg = ability.egg;
+            this.flyingBirds.push({
+                type: 'egg', x: bird.x, y: bird.y + bird.radius + egg.radius,
+                radius: egg.radius, mass: egg.mass, color: '#ffffff',
+                vx: 0, vy: egg.speed, isLaunched: true, abilityUsed: true, fuse: null,
+                explosion: egg.explosion
+            });
+            bird.vy = -ability.boost;
+            bird.vx *= 1.2;
+        }
+        return true;
+    }
+    
+    /**
+     * 预测从弹弓发射后的飞行轨迹，积分方式与 step 一致
+     * 每个点对应一个固定物理步，任何刷新率下预测都准确
+     * @param {number} vx - 初速度X分量
+     * @param {number} vy - 初速度Y分量
+     * @param {number} maxPoints - 最多预测的点数
+     * @returns {Array} 轨迹点 [{x, y}]
+     */
+    predictTrajectory(vx, vy, maxPoints = 50) {
+        const points = [];
+        let x = this.slingshot.x;
+        let y = this.slingshot.y;
+        for (let i = 0; i < maxPoints; i++) {
+            points.push({ x, y });
+            vx *= FRICTION;
+            vy *= FRICTION;
+            vy += GRAVITY;
+            x += vx;
+            y += vy;
+            if (y > this.groundY || x < 0) break;
+        }
+        return points;
+    }
+    
+    /**
+     * 推进一个固定物理步
+     * 处理小鸟飞行、重力、碰撞检测、伤害计算和物体运动
+     */
+    step() {
+        this.elapsedSteps++;
+        this.flyingBirds.slice().forEach(bird => {
+            bird.vx *= FRICTION;
+            bird.vy *= FRICTION;
+            bird.vy += GRAVITY;
+            
+            // 连续碰撞检测：把这一步的位移切成不超过半径一半的小段逐段检测，
+            // 满速小鸟也不会越过10像素厚的顶盖或小猪
+            const travel = Math.sqrt(bird.vx * bird.vx + bird.vy * bird.vy);
+            const substeps = Math.max(1, Math.ceil(travel / (bird.radius * BIRD_MAX_TRAVEL_RATIO)));
+            for (let i = 0; i < substeps && this.flyingBirds.includes(bird); i++) {
+                this.advanceBird(bird, 1 / substeps);
+            }
+            
+            // 黑鸟撞到东西后引信燃尽自动爆炸
+            if (bird.fuse !== null && this.flyingBirds.includes(bird) && --bird.fuse <= 0) {
+                this.activateAbility();
+            }
+        });
+        
+        this.updateBodies();
+    }
+    
+    /**
+     * 推进飞行中的小鸟一小段并处理碰撞
+     * 命中后把小鸟推出物体表面，后续小段不会重复命中同一物体
+     * @param {Object} bird - 已发射的小鸟
+     * @param {number} fraction - 本段占整步位移的比例
+     */
+    advanceBird(bird, fraction) {
+        bird.x += bird.vx * fraction;
+        bird.y += bird.vy * fraction;
+        
+        if (bird.y + bird.radius > this.groundY) {
+            bird.y = this.groundY - bird.radius;
+            if (this.onBirdImpact(bird)) return;
+            bird.vy *= -0.5;
+            bird.vx *= 0.8;
+            if (Math.abs(bird.vx) < 0.5 && Math.abs(bird.vy) < 0.5) {
+                // 引信已点燃的黑鸟停下时立即爆炸
+                if (bird.fuse !== null) this.activateAbility();
+                else this.birdStopped(bird);
+                return;
+            }
+        }
+        
+        if (bird.x > this.width + 100 || bird.x < -100) {
+            this.birdStopped(bird);
+            return;
+        }
+        
+        for (let i = this.pigs.length - 1; i >= 0; i--) {
+            const pig = this.pigs[i];
+            const hit = checkCircleCollision(pig, bird);
+            if (hit) {
+                bird.x += hit.nx * hit.penetration;
+                bird.y += hit.ny * hit.penetration;
+                if (this.onBirdImpact(bird)) return;
+                pig.vx += bird.vx * 0.3 * bird.mass;
+                pig.vy += bird.vy * 0.3 * bird.mass;
+                wakeBody(pig);
+                this.damagePig(pig, 30 * bird.mass);
+                bird.vx *= 0.7;
+                bird.vy *= 0.7;
+            }
+        }
+        
+        for (let i = this.blocks.length - 1; i >= 0; i--) {
+            const block = this.blocks[i];
+            const hit = checkCircleRectCollision(bird, block);
+            if (hit) {
+                bird.x -= hit.nx * hit.penetration;
+                bird.y -= hit.ny * hit.penetration;
+                if (this.onBirdImpact(bird)) return;
+                const damage = Math.sqrt(bird.vx * bird.vx + bird.vy * bird.vy) * 2 * bird.mass;
+                const impulseScale = 0.2 * bird.mass * block.mass;
+                // 冲量作用在接触点上，击中木块上端会产生力矩使其翻倒
+                applyImpulseAt(block, bird.vx * impulseScale, bird.vy * impulseScale, hit.px, hit.py);
+                this.damageBlock(block, damage, bird.x, bird.y);
+                bird.vx *= -0.5;
+                bird.vy *= 0.8;
+            }
+        }
+    }
+    
+    /**
+     * 小鸟撞到地面、猪或木块时的特殊处理
+     * 蛋落地即爆炸；黑鸟第一次撞击时点燃引信
+     * @param {Object} bird - 飞行中的小鸟
+     * @returns {boolean} 小鸟是否因此离场(调用方应停止处理这次碰撞)
+     */
+    onBirdImpact(bird) {
+        if (bird.explosion) {
+            this.birdStopped(bird);
+            this.explode(bird.x, bird.y, bird.explosion);
+            return true;
+        }
+        if (bird === this.bird && !bird.abilityUsed && bird.fuse === null) {
+            const ability = getBirdType(bird.type).ability;
+            if (ability && ability.type === 'explode') bird.fuse = ability.fuse;
+        }
+        return false;
+    }
+    
+    /**
+     * 小鸟停止移动：移出场景
+     * 所有飞行中的小鸟都停下后才发出 birdStopped 事件，由调用方在合适的时机检查 getOutcome()
+     * @param {Object} bird - 停下的小鸟
+     */
+    birdStopped(bird) {
+        const index = this.flyingBirds.indexOf(bird);
+        if (index === -1) return;
+        this.flyingBirds.splice(index, 1);
+        if (bird === this.bird) this.bird = null;
+        if (this.flyingBirds.length === 0) {
+            this.bird = null;
+            this.events.push({ type: 'birdStopped' });
+        }
+    }
+    
+    /**
+     * 对猪造成伤害，生命值耗尽时移除并加分
+     * 小鸟直接命中和坠落、被砸等撞击伤害都走这里，计分方式一致
+     * @param {Object} pig - 猪
+     * @param {number} damage - 伤害值
+     * @returns {boolean} 是否被消灭
+     */
+    damagePig(pig, damage) {
+        const hitPoints = this.addDamagePoints(pig.health, damage, PIG_DAMAGE_POINTS);
+        pig.health -= damage;
+        this.events.push({ type: 'pigHit', x: pig.x, y: pig.y, points: hitPoints });
+        if (pig.health > 0) return false;
+        
+        const index = this.pigs.indexOf(pig);
+        // 同一步内可能已被其他撞击消灭
+        if (index === -1) return false;
+        this.pigs.splice(index, 1);
+        if (pig.objectId) this.destroyedIds.add(pig.objectId);
+        this.wakeBodiesNear(pig);
+        const { points, combo } = this.addDestroyPoints(PIG_DESTROY_POINTS);
+        this.events.push({ type: 'pigDestroyed', x: pig.x, y: pig.y, points, combo });
+        return true;
+    }
+    
+    /**
+     * 对木块造成伤害，生命值耗尽时移除并加分
+     * @param {Object} block - 木块
+     * @param {number} damage - 伤害值
+     * @param {number} hitX - 受击点X坐标(碎屑粒子位置)
+     * @param {number} hitY - 受击点Y坐标
+     * @returns {boolean} 是否被摧毁
+     */
+    damageBlock(block, damage, hitX, hitY) {
+        const hitPoints = this.addDamagePoints(block.health, damage, BLOCK_DAMAGE_POINTS);
+        block.health -= damage;
+        this.events.push({ type: 'blockHit', x: hitX, y: hitY, material: block.type, points: hitPoints });
+        if (block.health > 0) return false;
+        
+        const index = this.blocks.indexOf(block);
+        if (index === -1) return false;
+        this.blocks.splice(index, 1);
+        if (block.objectId) this.destroyedIds.add(block.objectId);
+        this.wakeBodiesNear(block);
+        const { points, combo } = this.addDestroyPoints(BLOCK_DESTROY_POINTS);
+        this.events.push({ type: 'blockDestroyed', x: block.x, y: block.y, material: block.type, points, combo });
+        const explosion = getMaterial(block.type).explosion;
+        if (explosion) this.explode(block.x, block.y, explosion);
+        return true;
+    }
+    
+    /**
+     * 按实际扣掉的生命值计分，已经耗尽生命的物体不再得分
+     * @param {number} health - 受击前的生命值
+     * @param {number} damage - 伤害值
+     * @param {number} pointsPerHealth - 每点伤害的分数
+     * @returns {number} 本次得分
+     */
+    addDamagePoints(health, damage, pointsPerHealth) {
+        const points = Math.round(Math.max(0, Math.min(damage, health)) * pointsPerHealth);
+        this.score += points;
+        this.shot.points += points;
+        return points;
+    }
+    
+    /**
+     * 摧毁得分：同一发中每多摧毁一个物体，连击倍率增加 COMBO_STEP
+     * @param {number} basePoints - 基础分
+     * @returns {Object} { points, combo(倍率) }
+     */
+    addDestroyPoints(basePoints) {
+        const combo = Math.min(MAX_COMBO_MULTIPLIER, 1 + this.shot.kills * COMBO_STEP);
+        const points = Math.round(basePoints * combo);
+        this.shot.kills++;
+        this.shot.maxCombo = Math.max(this.shot.maxCombo, combo);
+        this.score += points;
+        this.shot.points += points;
+        return { points, combo };
+    }
+    
+    /**
+     * 当前这一发(从发射到下一次发射)的得分统计
+     * @returns {Object} { points, kills, maxCombo }
+     */
+    getShotSummary() {
+        return { ...this.shot };
+    }
+    
+    /**
+     * 爆炸：对半径内的物体造成伤害并向外推开，伤害和冲击随到物体边缘的距离线性衰减
+     * 被炸毁的TNT会在 damageBlock 中继续引爆，形成连锁
+     * @param {number} x - 爆炸中心X坐标
+     * @param {number} y - 爆炸中心Y坐标
+     * @param {Object} explosion - 爆炸参数 {radius, damage, impulse}
+     */
+    explode(x, y, explosion) {
+        this.events.push({ type: 'explosion', x, y, radius: explosion.radius });
+        this.blocks.concat(this.pigs).forEach(body => {
+            // 连锁爆炸中已被摧毁的物体不再受影响
+            if (!this.blocks.includes(body) && !this.pigs.includes(body)) return;
+            const dx = body.x - x, dy = body.y - y;
+            const dist = Math.hypot(dx, dy);
+            const edgeDist = Math.max(dist - boundingRadius(body), 0);
+            if (edgeDist >= explosion.radius) return;
+            
+            const falloff = 1 - edgeDist / explosion.radius;
+            const nx = dist > 0 ? dx / dist : 0;
+            const ny = dist > 0 ? dy / dist : -1;
+            const impulse = explosion.impulse * falloff * body.mass;
+            applyImpulseAt(body, nx * impulse, ny * impulse, body.x, body.y);
+            
+            const damage = explosion.damage * falloff;
+            if (body.shape === 'circle') this.damagePig(body, damage);
+            else this.damageBlock(body, damage, body.x - nx * boundingRadius(body), body.y - ny * boundingRadius(body));
+        });
+    }
+    
+    /**
+     * 根据接触的撞击速度结算伤害
+     * 同一对物体取各接触点中最大的撞击速度，再按质量比分给双方速度变化量：
+     * 重物砸下来时轻的一方受伤更重，落到地面时承受全部撞击
+     * @param {Array} contacts - 本步的接触
+     */
+    applyImpactDamage(contacts) {
+        const impacts = new Map();
+        contacts.forEach(contact => {
+            if (contact.approachSpeed <= IMPACT_DAMAGE_THRESHOLD) return;
+            const pairKey = contact.a.id + ':' + contact.b.id;
+            const previous = impacts.get(pairKey);
+            if (!previous || contact.approachSpeed > previous.approachSpeed) impacts.set(pairKey, contact);
+        });
+        
+        impacts.forEach(contact => {
+            const invMassSum = contact.a.invMass + contact.b.invMass;
+            [contact.a, contact.b].forEach(body => {
+                if (body.isStatic) return;
+                const deltaV = contact.approachSpeed * body.invMass / invMassSum;
+                const damage = (deltaV - IMPACT_DAMAGE_THRESHOLD) * IMPACT_DAMAGE_SCALE;
+                if (damage <= 0) return;
+                if (body.shape === 'circle') this.damagePig(body, damage);
+                else this.damageBlock(body, damage, contact.px, contact.py);
+            });
+        });
+    }
+    
+    /**
+     * 唤醒与指定物体相邻的物体
+     * 有物体被摧毁时调用，原本被它支撑或挤住的物体需要重新运动
+     * @param {Object} body - 被摧毁的刚体
+     */
+    wakeBodiesNear(body) {
+        const radius = boundingRadius(body);
+        this.blocks.concat(this.pigs).forEach(other => {
+            const dist = Math.hypot(other.x - body.x, other.y - body.y);
+            if (dist < radius + boundingRadius(other) + CONTACT_MARGIN * 2) wakeBody(other);
+        });
+    }
+    
+    /**
+     * 更新猪和木块的刚体运动
+     * 最快的物体一步位移超过 BODY_MAX_TRAVEL 时把这一步切成多个子步，
+     * 高速飞出的碎块也不会穿过薄木板
+     */
+    updateBodies() {
+        const maxSpeed = Math.max(0, ...this.blocks.concat(this.pigs).map(bodySpeed)) + GRAVITY;
+        const substeps = Math.min(Math.max(1, Math.ceil(maxSpeed / BODY_MAX_TRAVEL)), MAX_BODY_SUBSTEPS);
+        for (let i = 0; i < substeps; i++) {
+            this.stepBodies(1 / substeps);
+        }
+    }
+    
+    /**
+     * 推进刚体一个(子)步
+     * 重力积分 → 接触检测 → 迭代求解冲量 → 位置和角度积分 → 休眠判定 → 撞击伤害
+     * @param {number} dt - 步长，以固定物理步为单位(1表示完整一步)
+     */
+    stepBodies(dt) {
+        const bodies = this.blocks.concat(this.pigs);
+        const damping = Math.pow(BODY_DAMPING, dt);
+        const angularDamping = Math.pow(ANGULAR_DAMPING, dt);
+        
+        bodies.forEach(body => {
+            body.hasContact = false;
+            if (body.isSleeping) return;
+            body.vy += GRAVITY * dt;
+            body.vx *= damping;
+            body.vy *= damping;
+            body.angularVelocity *= angularDamping;
+        });
+        
+        const contacts = [];
+        for (let i = 0; i < bodies.length; i++) {
+            const a = bodies[i];
+            collideGround(a, this.groundY).forEach(contact => {
+                if (prepareContact(contact, a, GROUND_BODY, dt)) contacts.push(contact);
+            });
+            
+            for (let j = i + 1; j < bodies.length; j++) {
+                const b = bodies[j];
+                collideBodies(a, b).forEach(contact => {
+                    if (prepareContact(contact, a, b, dt)) contacts.push(contact);
+                });
+            }
+        }
+        
+        // 失去所有支撑的休眠物体需要重新下落
+        bodies.forEach(body => {
+            if (body.isSleeping && !body.hasContact) wakeBody(body);
+        });
+        
+        contacts.forEach(contact => warmStartContact(contact, this.contactCache, dt));
+        for (let i = 0; i < SOLVER_ITERATIONS; i++) {
+            contacts.forEach(solveContact);
+        }
+        
+        // 缓存按单位步长折算的冲量，子步数变化时热启动仍然准确
+        this.contactCache = new Map();
+        contacts.forEach(contact => this.contactCache.set(contact.key, {
+            normalImpulse: contact.normalImpulse / dt,
+            tangentImpulse: contact.tangentImpulse / dt
+        }));
+        
+        bodies.forEach(body => {
+            if (body.isSleeping) return;
+            body.x += body.vx * dt;
+            body.y += body.vy * dt;
+            body.angle += body.angularVelocity * dt;
+        });
+        contacts.forEach(correctPosition);
+        
+        bodies.forEach(body => {
+            if (body.isSleeping) return;
+            if (body.hasContact && bodySpeed(body) < SLEEP_VELOCITY) {
+                body.sleepFrames += dt;
+                if (body.sleepFrames >= SLEEP_FRAMES) sleepBody(body);
+            } else {
+                body.sleepFrames = 0;
+            }
+        });
+        
+        this.applyImpactDamage(contacts);
+    }
+    
+    /**
+     * 是否所有物体都已静止且没有飞行中的小鸟
+     * @returns {boolean}
+     */
+    isSettled() {
+        if (this.flyingBirds.length > 0) return false;
+        return this.blocks.concat(this.pigs).every(body => body.isSleeping);
+    }
+    
+    /**
+     * 本关已进行的时间
+     * @returns {number} 秒
+     */
+    getElapsedSeconds() {
+        return this.elapsedSteps * FIXED_TIMESTEP / 1000;
+    }
+    
+    /**
+     * 计算每个关卡目标的进度
+     * 限时目标在其他目标全部达成前超时则失败；被保护的物体被摧毁立即失败
+     * @returns {Array} 与 objectives 一一对应 [{type, target, seconds, goal, current, total, done, failed}]
+     */
+    evaluateObjectives() {
+        const elapsed = this.getElapsedSeconds();
+        const results = this.objectives.map(objective => {
+            const result = { ...objective, goal: OBJECTIVE_GOALS.includes(objective.type), done: false, failed: false };
+            if (objective.type === 'destroyAllPigs') {
+                result.current = this.initialPigs - this.pigs.length;
+                result.total = this.initialPigs;
+                result.done = this.pigs.length === 0;
+            } else if (objective.type === 'score') {
+                result.current = this.score;
+                result.done = this.score >= objective.target;
+            } else if (objective.type === 'destroy') {
+                result.done = this.destroyedIds.has(objective.target);
+            } else if (objective.type === 'protect') {
+                result.failed = this.destroyedIds.has(objective.target);
+                result.done = !result.failed;
+            } else if (objective.type === 'timeLimit') {
+                result.current = elapsed;
+            }
+            return result;
+        });
+        
+        const goalsDone = results.every(result => !result.goal || result.done);
+        results.forEach(result => {
+            if (result.type !== 'timeLimit') return;
+            result.done = goalsDone;
+            result.failed = !goalsDone && elapsed >= result.seconds;
+        });
+        return results;
+    }
+    
+    /**
+     * 失败条件(超时、被保护的物体被毁)是否已经触发，触发后不必等小鸟停下
+     * @returns {Object|null} 第一个失败的目标，没有时为null
+     */
+    getFailedObjective() {
+        return this.evaluateObjectives().find(result => result.failed) || null;
+    }
+    
+    /**
+     * 判定关卡结果：触发失败条件则失败，目标全部达成则过关，
+     * 否则小鸟用完且没有飞行中的小鸟时失败
+     * @returns {string|null} 'complete' | 'failed' | null(仍在进行)
+     */
+    getOutcome() {
+        const results = this.evaluateObjectives();
+        if (results.some(result => result.failed)) return 'failed';
+        if (results.every(result => !result.goal || result.done)) return 'complete';
+        if (this.birdsLeft <= 0 && this.flyingBirds.length === 0) return 'failed';
+        return null;
+    }
+    
+    /**
+     * 关卡没有给出 stars 时的分数线：1星为消灭所有猪的分数，
+     * 2星、3星分别相当于只用掉 60%、30% 的小鸟时拿到的剩余小鸟奖励
+     * @returns {Array} [1星, 2星, 3星]
+     */
+    getDefaultStarThresholds() {
+        const pigScore = this.initialPigs * PIG_DESTROY_POINTS;
+        const bonusAt = ratio => (this.totalBirds - Math.ceil(this.totalBirds * ratio)) * UNUSED_BIRD_BONUS;
+        return [pigScore, pigScore + bonusAt(0.6), pigScore + bonusAt(0.3)];
+    }
+    
+    /**
+     * 过关结算：按剩余小鸟和方块摧毁比例发放奖励并计入分数，每关只结算一次
+     * @returns {Object} 明细 {baseScore, unusedBirds, birdBonus, destruction(0~1), destructionBonus, total}
+     */
+    applyLevelBonus() {
+        if (this.levelBonus) return this.levelBonus;
+        const destroyedBlocks = this.initialBlocks - this.blocks.length;
+        const destruction = this.initialBlocks > 0 ? destroyedBlocks / this.initialBlocks : 0;
+        const tally = {
+            baseScore: this.score,
+            unusedBirds: this.birdsLeft,
+            birdBonus: this.birdsLeft * UNUSED_BIRD_BONUS,
+            destruction,
+            destructionBonus: Math.round(destruction * DESTRUCTION_BONUS)
+        };
+        tally.total = tally.baseScore + tally.birdBonus + tally.destructionBonus;
+        this.score = tally.total;
+        this.levelBonus = tally;
+        return tally;
+    }
+    
+    /**
+     * 过关星级：按分数线计算，过关至少 1 星
+     * @param {number} score - 可选，默认为当前分数
+     * @returns {number} 星级(1~3)
+     */
+    getStars(score = this.score) {
+        return Math.max(1, this.starThresholds.filter(threshold => score >= threshold).length);
+    }
+    
+    /**
+     * 取出并清空自上次调用以来产生的事件
+     * 事件类型：pigHit、pigDestroyed、blockHit、blockDestroyed、explosion、ability、birdStopped
+     * 受击和摧毁事件带本次得分 points，摧毁事件还带连击倍率 combo
+     * @returns {Array} 事件数组 [{type, x, y, material, points, combo, radius, ability}]
+     */
+    drainEvents() {
+        const events = this.events;
+        this.events = [];
+        return events;
+    }
+}
+
+/**
+ * 检测两个圆形物体碰撞
+ * @param {Object} c1 - 圆形物体1 {x, y, radius}
+ * @param {Object} c2 - 圆形物体2 {x, y, radius}
+ * @returns {Object|null} 碰撞时返回接触信息 {nx, ny, penetration, px, py}(法线从c1指向c2)，否则为null
+ */
+function checkCircleCollision(c1, c2) {
+    const contact = collideCircleCircle(c1, c2)[0];
+    return contact && contact.penetration > 0 ? contact : null;
+}
+
+/**
+ * 检测圆形与(可旋转的)矩形碰撞
+ * @param {Object} circle - 圆形物体 {x, y, radius}
+ * @param {Object} rect - 矩形物体 {x, y, width, height, angle}
+ * @returns {Object|null} 碰撞时返回接触信息 {nx, ny, penetration, px, py}，否则为null
+ */
+function checkCircleRectCollision(circle, rect) {
+    const contact = collideCircleBox(circle, { angle: 0, ...rect })[0];
+    return contact && contact.penetration > 0 ? contact : null;
+}
+
+// ============== 关卡体检 ==============
+
+// 默认检查的画布尺寸：手机横屏、小屏笔记本、常见桌面和全高清
+const SANITY_CANVAS_SIZES = [
+    { width: 812, height: 375 },
+    { width: 1024, height: 600 },
+    { width: 1280, height: 720 },
+    { width: 1920, height: 1080 }
+];
+
+// 放置结果的像素容差
+const SANITY_TOLERANCE = 1;
+
+// 自行倒塌检测：不发射小鸟模拟的步数，以及视为「动了」的位移和转角
+const SANITY_SETTLE_STEPS = 180;
+const SANITY_MOVE_DISTANCE = 10;
+const SANITY_MOVE_ANGLE = 0.15;
+
+// 可达性检测：发射方向和拉动距离的采样数，以及每条轨迹最多推进的步数
+const SANITY_LAUNCH_ANGLES = 72;
+const SANITY_LAUNCH_PULLS = 8;
+const SANITY_TRAJECTORY_STEPS = 600;
+
+/**
+ * 在多个画布尺寸下检查关卡的摆放效果，补充 validateLevel 查不到的问题：
+ * 悬空或只搭在边缘的物体、头顶没有遮挡的猪、物体互相重叠或压到弹弓、
+ * 超出画面、任何发射角度都打不到的猪、不发射小鸟也会自行倒塌的结构
+ * 关卡格式本身有错时只返回格式错误
+ * @param {Object} level - 关卡定义
+ * @param {Array} sizes - 可选，要检查的画布尺寸 [{width, height}]
+ * @returns {Array<string>} 问题列表，每条以画布尺寸开头，没有问题时为空数组
+ */
+function checkLevelSanity(level, sizes = SANITY_CANVAS_SIZES) {
+    const formatErrors = validateLevel(level);
+    if (formatErrors.length > 0) return formatErrors;
+    // 体检要换上被检查关卡的材质，结束后换回正在玩的关卡的
+    const activeMaterials = levelMaterials;
+    setLevelMaterials(level.materials);
+    
+    const issues = [];
+    try {
+        sizes.forEach(({ width, height }) => {
+            const report = message => issues.push(`${width}x${height} ${message}`);
+            const physicsWorld = new PhysicsWorld(width, height);
+            const placed = level.objects.map(obj => physicsWorld.placeObject(obj));
+            const world = new GameWorld(width, height);
+            
+            checkPlacement(level.objects, placed, world, report);
+            checkReachability(level, placed, world, report);
+            checkSelfCollapse(level, placed, world, report);
+        });
+    } finally {
+        levelMaterials = activeMaterials;
+    }
+    return issues;
+}
+
+/**
+ * 放置结果的轴对齐包围盒
+ */
+function placedBounds(p) {
+    const halfWidth = p.type === 'pig' ? p.radius : p.width / 2;
+    const halfHeight = p.type === 'pig' ? p.radius : p.height / 2;
+    return { left: p.x - halfWidth, right: p.x + halfWidth, top: p.y - halfHeight, bottom: p.y + halfHeight };
+}
+
+/**
+ * 检查支撑、遮挡、重叠和出界
+ */
+function checkPlacement(objects, placed, world, report) {
+    const bounds = placed.map(placedBounds);
+    const label = i => `objects[${i}](${objects[i].type})`;
+    const tol = SANITY_TOLERANCE;
+    
+    placed.forEach((p, i) => {
+        const b = bounds[i];
+        if (b.left < -tol || b.right > world.width + tol || b.top < -tol) {
+            report(`${label(i)} 超出画面`);
+        }
+        
+        // 弹弓立柱和小鸟所在区域
+        const sling = world.slingshot;
+        if (b.right > sling.x - 25 && b.left < sling.x + 25 && b.bottom > sling.y - 35) {
+            report(`${label(i)} 压到了弹弓`);
+        }
+        
+        for (let j = 0; j < i; j++) {
+            const o = bounds[j];
+            const overlapX = Math.min(b.right, o.right) - Math.max(b.left, o.left);
+            const overlapY = Math.min(b.bottom, o.bottom) - Math.max(b.top, o.top);
+            if (overlapX > tol && overlapY > tol) report(`${label(i)} 与 ${label(j)} 重叠`);
+        }
+        
+        // 支撑范围：下方紧贴的物体与本物体的横向重叠部分，猪只有顶点一个支撑点
+        if (b.bottom < world.groundY - tol) {
+            let supportLeft = Infinity;
+            let supportRight = -Infinity;
+            for (let j = 0; j < i; j++) {
+                if (Math.abs(bounds[j].top - b.bottom) > tol) continue;
+                const left = placed[j].type === 'pig' ? placed[j].x : Math.max(b.left, bounds[j].left);
+                const right = placed[j].type === 'pig' ? placed[j].x : Math.min(b.right, bounds[j].right);
+                if (right < left - tol) continue;
+                supportLeft = Math.min(supportLeft, left);
+                supportRight = Math.max(supportRight, right);
+            }
+            if (supportLeft === Infinity) {
+                report(`${label(i)} 悬空，下方没有支撑`);
+            } else if (p.x < supportLeft - tol || p.x > supportRight + tol) {
+                report(`${label(i)} 重心不在支撑范围内，只搭在边缘`);
+            }
+        }
+        
+        if (p.type === 'pig') {
+            const covered = bounds.some((o, j) => j !== i && Math.abs(o.bottom - b.top) <= tol &&
+                o.left <= p.x + tol && o.right >= p.x - tol);
+            if (!covered) report(`${label(i)} 头顶没有遮挡`);
+        }
+    });
+}
+
+/**
+ * 检查每只猪能否被某个发射向量直接命中(不考虑沿途障碍)
+ * 在弹弓拉动范围内按方向和距离采样，逐条轨迹计算与猪的最近距离
+ */
+function checkReachability(level, placed, world, report) {
+    const birdRadius = Math.max(...normalizeBirdLineup(level.birds).map(type => getBirdType(type).radius));
+    const pigs = placed.map((p, i) => ({ p, i })).filter(({ p }) => p.type === 'pig');
+    const reached = new Set();
+    
+    for (let a = 0; a < SANITY_LAUNCH_ANGLES && reached.size < pigs.length; a++) {
+        const angle = (a / SANITY_LAUNCH_ANGLES) * Math.PI * 2;
+        for (let k = 1; k <= SANITY_LAUNCH_PULLS; k++) {
+            const pull = (k / SANITY_LAUNCH_PULLS) * MAX_PULL_DISTANCE;
+            const v = computeLaunchVelocity(Math.cos(angle) * pull, Math.sin(angle) * pull);
+            let { x, y } = world.slingshot;
+            let vx = v.x;
+            let vy = v.y;
+            for (let step = 0; step < SANITY_TRAJECTORY_STEPS; step++) {
+                vx *= FRICTION;
+                vy *= FRICTION;
+                vy += GRAVITY;
+                const nx = x + vx;
+                const ny = y + vy;
+                pigs.forEach(({ p, i }) => {
+                    if (!reached.has(i) && pointSegmentDistance(p.x, p.y, x, y, nx, ny) <= p.radius + birdRadius) {
+                        reached.add(i);
+                    }
+                });
+                x = nx;
+                y = ny;
+                if (y + birdRadius > world.groundY || x < -100 || x > world.width + 100) break;
+            }
+        }
+    }
+    
+    pigs.forEach(({ i }) => {
+        if (!reached.has(i)) report(`objects[${i}](pig) 任何发射角度都打不到`);
+    });
+}
+
+function pointSegmentDistance(px, py, x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / lengthSq)) : 0;
+    return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+}
+
+/**
+ * 检查结构能否自己站稳：唤醒全部物体，不发射小鸟推进一段时间，
+ * 把被毁掉或明显移动的物体汇总成一条报告
+ */
+function checkSelfCollapse(level, placed, world, report) {
+    world.loadLevel(level);
+    // 按放置顺序把刚体对应回 objects 下标(processLevel 分别按顺序生成猪和方块)
+    const bodies = [];
+    let pigIndex = 0;
+    let blockIndex = 0;
+    placed.forEach(p => {
+        bodies.push(p.type === 'pig' ? world.pigs[pigIndex++] : world.blocks[blockIndex++]);
+    });
+    const start = bodies.map(body => ({ x: body.x, y: body.y, angle: body.angle || 0 }));
+    bodies.forEach(wakeBody);
+    
+    for (let i = 0; i < SANITY_SETTLE_STEPS; i++) world.updateBodies();
+    
+    const collapsed = [];
+    bodies.forEach((body, i) => {
+        const alive = world.pigs.includes(body) || world.blocks.includes(body);
+        const moved = Math.hypot(body.x - start[i].x, body.y - start[i].y);
+        const turned = Math.abs((body.angle || 0) - start[i].angle);
+        if (!alive || moved > SANITY_MOVE_DISTANCE || turned > SANITY_MOVE_ANGLE) collapsed.push(`objects[${i}]`);
+    });
+    if (collapsed.length > 0) {
+        report(`结构未发射小鸟就自行倒塌，移动或毁掉的物体: ${collapsed.join(', ')}`);
+    }
+}
+
+// Node 环境下导出模拟接口，浏览器中以普通脚本加载时这些声明直接是全局的
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GameWorld,
+        PhysicsWorld,
+        computeLaunchVelocity,
+        initBodyMass,
+        registerMaterial,
+        getMaterial,
+        setLevelMaterials,
+        BIRD_TYPES,
+        getBirdType,
+        normalizeBirdLineup,
+        validateLevel,
+        validateLevelPack,
+        normalizeObjectives,
+        parseJSONText,
+        parseLevelJSON,
+        parseLevelFile,
+        checkLevelSanity,
+        FIXED_TIMESTEP,
+        GROUND_Y_RATIO,
+        SLINGSHOT_X_RATIO,
+        SLINGSHOT_Y_RATIO,
+        MAX_PULL_DISTANCE,
+        OBJECT_SIZE_RANGES,
+        BODY_MATERIALS
+    };
+}
@@ -0,0 +1,113 @@
+/**
+ * Angry Birds - 手部关键点平滑
+ *
+ * MediaPipe 每帧的关键点都带有抖动，直接用于瞄准会让力量条和轨迹预测跟着抖。
+ * 这里对操作手的每个关键点坐标分别做 One-Euro 滤波：手静止时截止频率低、抖动被压住，
+ * 手快速移动时截止频率随速度升高，几乎不增加延迟。
+ * 不依赖浏览器，Node 中可直接 require
+ */
+
+/**
+ * 平滑强度预设(按档案保存在设置 smoothing 中)：
+ * minCutoff 静止时的截止频率(Hz)，越小越稳；beta 截止频率随速度(归一化坐标/秒)增加的系数，越大越跟手
+ */
+const SMOOTHING_PRESETS = {
+    off: null,
+    light: { minCutoff: 2.0, beta: 5.0 },
+    medium: { minCutoff: 1.0, beta: 3.0 },
+    strong: { minCutoff: 0.5, beta: 1.5 }
+};
+// 速度估计本身的截止频率(Hz)
+const SMOOTHING_DERIVATIVE_CUTOFF = 1.0;
+
+function smoothingAlpha(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+}
+
+/**
+ * 单个数值的 One-Euro 滤波器
+ */
+class OneEuroFilter {
+    constructor(minCutoff, beta, derivativeCutoff = SMOOTHING_DERIVATIVE_CUTOFF) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.derivativeCutoff = derivativeCutoff;
+        this.reset();
+    }
+    
+    reset() {
+        this.value = null;
+        this.derivative = 0;
+        this.time = null;
+    }
+    
+    /**
+     * @param {number} value - 本帧的原始值
+     * @param {number} time - 本帧时间(秒)
+     * @returns {number} 平滑后的值
+     */
+    filter(value, time) {
+        if (this.value === null || time <= this.time) {
+            this.value = value;
+            this.time = time;
+            return value;
+        }
+        const dt = time - this.time;
+        const derivative = (value - this.value) / dt;
+        this.derivative += smoothingAlpha(this.derivativeCutoff, dt) * (derivative - this.derivative);
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+        this.value += smoothingAlpha(cutoff, dt) * (value - this.value);
+        this.time = time;
+        return this.value;
+    }
+}
+
+/**
+ * 一只手 21 个关键点的平滑器，每个坐标分量一个滤波器
+ */
+class LandmarkSmoother {
+    /**
+     * @param {Object|null} params - { minCutoff, beta }，为空时原样返回
+     */
+    constructor(params) {
+        this.params = params;
+        this.filters = [];
+    }
+    
+    /**
+     * @param {Array} landmarks - 关键点数组 [{x, y, z}]
+     * @param {number} time - 本帧时间(秒)
+     * @returns {Array} 平滑后的新关键点数组，不修改输入
+     */
+    smooth(landmarks, time) {
+        if (!this.params) return landmarks;
+        return landmarks.map((point, i) => {
+            if (!this.filters[i]) {
+                this.filters[i] = ['x', 'y', 'z'].map(() => new OneEuroFilter(this.params.minCutoff, this.params.beta));
+            }
+            const [fx, fy, fz] = this.filters[i];
+            return { x: fx.filter(point.x, time), y: fy.filter(point.y, time), z: fz.filter(point.z || 0, time) };
+        });
+    }
+    
+    /**
+     * 换手或手离开画面后清空滤波状态，避免从旧位置滑过来
+     */
+    reset() {
+        this.filters = [];
+    }
+}
+
+function createHandSmoother(preset) {
+    return new LandmarkSmoother(SMOOTHING_PRESETS[preset] || null);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SMOOTHING_PRESETS,
+        OneEuroFilter,
+        LandmarkSmoother,
+        createHandSmoother
+    };
+}
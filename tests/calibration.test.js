@@ -0,0 +1,48 @@
+/**
+ * 手势校准：捏合/松开阈值和画布映射
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_PINCH_THRESHOLD, DEFAULT_RELEASE_THRESHOLD, computeCalibration, getPinchThresholds, mapHandToCanvas } = require('../calibration.js');
+
+// 与 HandInputProvider.update 相同的判定：捏合中用松开阈值，否则用捏合阈值
+function runPinch(distances, thresholds) {
+    let pinching = false;
+    return distances.map(distance => {
+        pinching = distance < (pinching ? thresholds.release : thresholds.pinch);
+        return pinching;
+    });
+}
+
+test('getPinchThresholds 没有校准时松开阈值明显大于捏合阈值', () => {
+    const thresholds = getPinchThresholds(null);
+    assert.deepEqual(thresholds, { pinch: DEFAULT_PINCH_THRESHOLD, release: DEFAULT_RELEASE_THRESHOLD });
+    assert.ok(thresholds.release - thresholds.pinch >= 0.03, `捏合 ${thresholds.pinch}，松开 ${thresholds.release}`);
+});
+
+test('getPinchThresholds 有校准时用校准的阈值，松开阈值大于捏合阈值', () => {
+    const calibration = computeCalibration({
+        open: [0.2, 0.21, 0.19],
+        pinch: [0.03, 0.04, 0.03],
+        reach: [{ x: 0.2, y: 0.2 }, { x: 0.8, y: 0.7 }]
+    });
+    const thresholds = getPinchThresholds(calibration);
+    assert.deepEqual(thresholds, { pinch: calibration.pinchThreshold, release: calibration.releaseThreshold });
+    assert.ok(thresholds.release > thresholds.pinch);
+});
+
+test('捏合后在两个阈值之间抖动不算松开，超过松开阈值才松开', () => {
+    const thresholds = getPinchThresholds(null);
+    const between = (thresholds.pinch + thresholds.release) / 2;
+    const states = runPinch([0.2, between, 0.05, between, between - 0.01, between + 0.01, 0.2], thresholds);
+    // 没捏合时落在两阈值之间不开始捏合；捏合后同样的距离保持捏合
+    assert.deepEqual(states, [false, false, true, true, true, true, false]);
+});
+
+test('mapHandToCanvas 把可达范围铺满画布，范围外贴边', () => {
+    const calibration = { reach: { left: 0.25, top: 0.25, right: 0.75, bottom: 0.75 } };
+    assert.deepEqual(mapHandToCanvas(0.5, 0.375, calibration, 800, 600), { x: 400, y: 150 });
+    assert.deepEqual(mapHandToCanvas(0, 1, calibration, 800, 600), { x: 0, y: 600 });
+    assert.deepEqual(mapHandToCanvas(0.5, 0.5, null, 800, 600), { x: 400, y: 300 });
+});
@@ -0,0 +1,111 @@
+/**
+ * 手势指令：静态手势分类、保持时长、冷却和挥手
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GESTURE_POSES, classifyHandPose, GestureRecognizer } = require('../gestures.js');
+
+/**
+ * 构造一只手心朝向镜头、手指朝上的手：手腕在 (0.5, 0.8)，手掌大小约 0.2
+ * @param {string} kind - open 张开、fist 握拳、thumbsUp 竖大拇指、pinch 其余手指蜷起的捏合
+ * @param {number} dx - 整只手水平平移
+ */
+function makeHand(kind, dx = 0) {
+    const hand = Array.from({ length: 21 }, () => ({ x: 0.5 + dx, y: 0.8 }));
+    hand[2] = { x: 0.4 + dx, y: 0.72 };
+    [0.44, 0.5, 0.56, 0.62].forEach((x, i) => {
+        const mcp = 5 + i * 4;
+        hand[mcp] = { x: x + dx, y: 0.6 };
+        hand[mcp + 1] = { x: x + dx, y: 0.5 };
+        hand[mcp + 2] = { x: x + dx, y: 0.45 };
+        // 伸直时指尖在最上方，蜷起时指尖折回到掌根附近
+        hand[mcp + 3] = kind === 'open' ? { x: x + dx, y: 0.4 } : { x: x + dx, y: 0.62 };
+    });
+    const thumbTips = {
+        open: { x: 0.3, y: 0.6 },
+        // 握拳时拇指压在中指中段
+        fist: { x: 0.5, y: 0.55 },
+        thumbsUp: { x: 0.4, y: 0.45 },
+        pinch: { x: 0.45, y: 0.61 }
+    };
+    hand[4] = { x: thumbTips[kind].x + dx, y: thumbTips[kind].y };
+    return hand;
+}
+
+test('classifyHandPose 区分张开手掌、握拳和竖大拇指', () => {
+    assert.equal(classifyHandPose(makeHand('open')), 'openPalm');
+    assert.equal(classifyHandPose(makeHand('fist')), 'fist');
+    assert.equal(classifyHandPose(makeHand('thumbsUp')), 'thumbsUp');
+});
+
+test('classifyHandPose 不把其余手指蜷起的捏合当成握拳', () => {
+    assert.equal(classifyHandPose(makeHand('pinch')), null);
+});
+
+test('GestureRecognizer 手势保持够久才触发，且只触发一次', () => {
+    const recognizer = new GestureRecognizer();
+    const hold = GESTURE_POSES.fist.hold;
+    const fired = [];
+    for (let time = 0; time <= hold * 3; time += 50) {
+        const command = recognizer.update(makeHand('fist'), time);
+        if (command) fired.push([time, command]);
+    }
+    assert.deepEqual(fired, [[hold, 'fist']]);
+});
+
+test('GestureRecognizer 中途换手势重新计时', () => {
+    const recognizer = new GestureRecognizer();
+    const hold = GESTURE_POSES.openPalm.hold;
+    recognizer.update(makeHand('open'), 0);
+    recognizer.update(makeHand('pinch'), hold - 100);
+    assert.equal(recognizer.update(makeHand('open'), hold), null);
+    assert.equal(recognizer.update(makeHand('open'), hold * 2 - 50), null);
+    assert.equal(recognizer.update(makeHand('open'), hold * 2), 'openPalm');
+    assert.deepEqual(recognizer.getPending(hold * 2), null);
+});
+
+test('GestureRecognizer 触发后冷却期间不响应别的手势', () => {
+    const recognizer = new GestureRecognizer();
+    const fistHold = GESTURE_POSES.fist.hold;
+    const thumbsUpHold = GESTURE_POSES.thumbsUp.hold;
+    recognizer.update(makeHand('fist'), 0);
+    assert.equal(recognizer.update(makeHand('fist'), fistHold), 'fist');
+    // 立即换成竖大拇指：保持时长已够，但还在 1 秒冷却内
+    recognizer.update(makeHand('thumbsUp'), fistHold + 50);
+    assert.equal(recognizer.update(makeHand('thumbsUp'), fistHold + 50 + thumbsUpHold), null);
+    assert.equal(recognizer.update(makeHand('thumbsUp'), fistHold + 1000), 'thumbsUp');
+});
+
+test('GestureRecognizer 识别左右挥手，挥完不接着触发暂停', () => {
+    const recognizer = new GestureRecognizer();
+    const commands = [];
+    // 画面中手向左移(x 变小)，镜像后是向右挥
+    for (let i = 0; i < 6; i++) {
+        const command = recognizer.update(makeHand('open', -0.06 * i), i * 50);
+        if (command) commands.push(command);
+    }
+    assert.deepEqual(commands, ['swipeRight']);
+    // 挥完停住不动，张开的手掌不再触发
+    for (let time = 300; time <= 300 + GESTURE_POSES.openPalm.hold * 2; time += 50) {
+        assert.equal(recognizer.update(makeHand('open', -0.3), time), null);
+    }
+    
+    recognizer.reset();
+    for (let i = 0; i < 6; i++) commands.push(recognizer.update(makeHand('open', 0.06 * i - 0.3), 5000 + i * 50));
+    assert.deepEqual(commands.filter(Boolean), ['swipeRight', 'swipeLeft']);
+});
+
+test('GestureRecognizer 慢慢移动或竖直移动不算挥手', () => {
+    const recognizer = new GestureRecognizer();
+    // 捏合不是指令手势，只看移动
+    for (let i = 0; i < 40; i++) {
+        assert.equal(recognizer.update(makeHand('pinch', -0.01 * i), i * 50), null);
+    }
+    recognizer.reset();
+    const raised = makeHand('pinch').map(point => ({ ...point }));
+    for (let i = 0; i < 6; i++) {
+        raised.forEach(point => { point.y -= 0.06; });
+        assert.equal(recognizer.update(raised.map(point => ({ ...point })), 2000 + i * 50), null);
+    }
+});
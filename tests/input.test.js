@@ -0,0 +1,137 @@
+/**
+ * 输入提供者：手势拉弓的松手确认和追踪丢失宽限期，手柄的松手和断开
+ * input.js 依赖 game.js 的 gameState / elements，这里用最小的全局对象代替
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getPinchDistance, getPinchThresholds, mapHandToCanvas } = require('../calibration.js');
+const { HandInputProvider, GamepadInputProvider } = require('../input.js');
+
+Object.assign(global, { getPinchDistance, getPinchThresholds, mapHandToCanvas, isBirdAbilityReady: () => false, MAX_PULL_DISTANCE: 100 });
+
+// 拇指尖和食指尖相距 distance 的手(其余关键点不参与捏合判定)
+function makeHand(distance) {
+    const hand = Array.from({ length: 21 }, () => ({ x: 0.5, y: 0.5, z: 0 }));
+    hand[4] = { x: 0.5 - distance / 2, y: 0.5, z: 0 };
+    hand[8] = { x: 0.5 + distance / 2, y: 0.5, z: 0 };
+    return hand;
+}
+
+const PINCHED = makeHand(0.03);
+const OPEN = makeHand(0.25);
+
+// 建立全局状态和提供者(默认手势提供者)，事件按瞄准状态机的最小规则处理并记录下来；
+// 没有飞行中的小鸟，每次新捏合先尝试的 ability 都不生效，不记录
+function setup(Provider = HandInputProvider) {
+    global.gameState = {
+        world: { slingshot: { x: 150, y: 400 } },
+        calibration: null,
+        isPulling: false,
+        pullSource: null,
+        isPinching: false,
+        needsHandReset: false,
+        releaseFrames: 0,
+        releaseConfirmFrames: 2,
+        trackingGracePeriod: 400,
+        trackingLostAt: null
+    };
+    global.elements = { canvas: { width: 800, height: 600 }, gestureText: { textContent: '' }, handIcon: { textContent: '' } };
+    const events = [];
+    const provider = new Provider();
+    provider.attach(event => {
+        if (event.type !== 'ability') events.push(event.type);
+        if (event.type === 'grab') Object.assign(gameState, { isPulling: true, pullSource: provider.id });
+        if (event.type === 'release' || event.type === 'cancel') Object.assign(gameState, { isPulling: false, pullSource: null });
+        return event.type === 'grab';
+    });
+    return { provider, events };
+}
+
+// 用可控的时钟跑 fn，holdWhileLost 用 Date.now 计时
+function withClock(fn) {
+    const realNow = Date.now;
+    const clock = { now: 0 };
+    Date.now = () => clock.now;
+    try {
+        fn(clock);
+    } finally {
+        Date.now = realNow;
+    }
+}
+
+test('捏合抓住小鸟，单帧张开不松手，连续两帧张开才发射', () => {
+    const { provider, events } = setup();
+    provider.update(PINCHED);
+    provider.update(OPEN);
+    assert.deepEqual(events, ['grab']);
+    assert.equal(gameState.isPulling, true);
+    provider.update(PINCHED);
+    provider.update(OPEN);
+    provider.update(OPEN);
+    assert.deepEqual(events, ['grab', 'move', 'release']);
+});
+
+test('宽限期内追踪恢复时继续拉弓', () => {
+    withClock(clock => {
+        const { provider, events } = setup();
+        provider.update(PINCHED);
+        assert.equal(provider.holdWhileLost(), true);
+        clock.now = 300;
+        assert.equal(provider.holdWhileLost(), true);
+        assert.equal(gameState.isPulling, true);
+        
+        // onHandsResults 在操作手重新出现时清掉丢失时间再交给 update
+        gameState.trackingLostAt = null;
+        provider.update(PINCHED);
+        assert.deepEqual(events, ['grab', 'move']);
+    });
+});
+
+test('追踪丢失超过宽限期取消拉弓而不是发射，要先松开手指才能重新抓住', () => {
+    withClock(clock => {
+        const { provider, events } = setup();
+        provider.update(PINCHED);
+        provider.holdWhileLost();
+        clock.now = 500;
+        assert.equal(provider.holdWhileLost(), true);
+        assert.deepEqual(events, ['grab', 'cancel']);
+        assert.equal(gameState.isPulling, false);
+        assert.equal(gameState.needsHandReset, true);
+        
+        // 手回来时还捏着：不会立刻重新抓住
+        gameState.trackingLostAt = null;
+        provider.update(PINCHED);
+        assert.deepEqual(events, ['grab', 'cancel']);
+        provider.update(OPEN);
+        provider.update(PINCHED);
+        assert.equal(events.includes('release'), false);
+        assert.equal(events[events.length - 1], 'grab');
+    });
+});
+
+// 标准布局手柄：A 是否按下、左摇杆偏移
+function makePad(grab, axes = [0, 0]) {
+    return { connected: true, axes, buttons: [{ pressed: grab }, { pressed: false }] };
+}
+
+test('手柄按住 A 拉弓，松开 A 发射', () => {
+    const { provider, events } = setup(GamepadInputProvider);
+    let pad = makePad(true, [-1, 0]);
+    provider.getGamepad = () => pad;
+    provider.poll();
+    pad = makePad(false);
+    provider.poll();
+    assert.deepEqual(events, ['grab', 'move', 'release']);
+});
+
+test('拉弓中手柄断开取消拉弓而不是发射', () => {
+    const { provider, events } = setup(GamepadInputProvider);
+    let pad = makePad(true, [-1, 0]);
+    provider.getGamepad = () => pad;
+    provider.poll();
+    pad = null;
+    provider.poll();
+    assert.deepEqual(events, ['grab', 'move', 'cancel']);
+    assert.equal(gameState.isPulling, false);
+});
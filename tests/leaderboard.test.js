@@ -0,0 +1,61 @@
+/**
+ * 排行榜：记录校验、排行顺序和本机提供者
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compareLeaderboardEntries, validateLeaderboardEntry, LocalLeaderboardProvider } = require('../leaderboard.js');
+
+const ENTRY = { name: '小红', score: 12000, birdsUsed: 2, seconds: 14.5, date: '2026-01-01T00:00:00.000Z' };
+
+// 内存中的 localStorage 替身
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+test('validateLeaderboardEntry 接受合法记录', () => {
+    assert.deepEqual(validateLeaderboardEntry(ENTRY), []);
+    assert.deepEqual(validateLeaderboardEntry({ ...ENTRY, score: 0, seconds: 0 }), []);
+});
+
+test('validateLeaderboardEntry 拒绝非有限的数值', () => {
+    // JSON 中的 1e400 解析为 Infinity
+    const parsed = JSON.parse('{"seconds": 1e400, "score": 1e400}');
+    assert.equal(parsed.seconds, Infinity);
+    [Infinity, -Infinity, NaN].forEach(value => {
+        assert.deepEqual(validateLeaderboardEntry({ ...ENTRY, seconds: value }), [`seconds 不合法: ${value}`]);
+        assert.deepEqual(validateLeaderboardEntry({ ...ENTRY, score: value }), [`score 不合法: ${value}`]);
+    });
+    assert.equal(validateLeaderboardEntry({ ...ENTRY, ...parsed }).length, 2);
+});
+
+test('validateLeaderboardEntry 拒绝负数、小数得分和错误类型', () => {
+    assert.deepEqual(validateLeaderboardEntry({ ...ENTRY, score: -1 }), ['score 不合法: -1']);
+    assert.deepEqual(validateLeaderboardEntry({ ...ENTRY, score: 1.5 }), ['score 不合法: 1.5']);
+    assert.deepEqual(validateLeaderboardEntry({ ...ENTRY, seconds: '3' }), ['seconds 不合法: 3']);
+    assert.deepEqual(validateLeaderboardEntry({ ...ENTRY, name: '' }), ['name 必须是 1~32 个字符']);
+    assert.deepEqual(validateLeaderboardEntry(null), ['记录必须是对象']);
+});
+
+test('compareLeaderboardEntries 按得分、小鸟数、用时排序', () => {
+    const entries = [
+        { ...ENTRY, name: 'c', score: 100, birdsUsed: 2, seconds: 5 },
+        { ...ENTRY, name: 'a', score: 200, birdsUsed: 3, seconds: 9 },
+        { ...ENTRY, name: 'b', score: 100, birdsUsed: 1, seconds: 9 },
+        { ...ENTRY, name: 'd', score: 100, birdsUsed: 2, seconds: 4 }
+    ];
+    assert.deepEqual(entries.sort(compareLeaderboardEntries).map(entry => entry.name), ['a', 'b', 'd', 'c']);
+});
+
+test('LocalLeaderboardProvider 读取时跳过不合法的记录', async () => {
+    const storage = createStorage();
+    const provider = new LocalLeaderboardProvider(storage);
+    await provider.submit('classic:1', ENTRY);
+    await provider.submit('classic:1', { ...ENTRY, name: '坏记录', seconds: null });
+    assert.deepEqual(await provider.fetchTop('classic:1', 5), [ENTRY]);
+    assert.deepEqual(await provider.fetchTop('classic:2', 5), []);
+});
@@ -0,0 +1,41 @@
+/**
+ * 关卡体检：内置关卡、生成关卡和 levels/ 下的示例关卡在各画布尺寸下都能正确摆放
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { checkLevelSanity } = require('../simulation.js');
+const { LEVEL_DEFINITIONS, generateLevel, getLevelDefinition } = require('../levels.js');
+
+test('内置关卡通过体检', () => {
+    LEVEL_DEFINITIONS.forEach((level, i) => assert.deepEqual(checkLevelSanity(level), [], `第 ${i + 1} 关`));
+});
+
+test('生成关卡通过体检', () => {
+    for (let levelNum = LEVEL_DEFINITIONS.length + 1; levelNum <= LEVEL_DEFINITIONS.length + 20; levelNum++) {
+        assert.deepEqual(checkLevelSanity(getLevelDefinition(levelNum)), [], `第 ${levelNum} 关`);
+    }
+    [1, 42, 1234, 99999].forEach(seed => {
+        [1, 5, 12].forEach(difficulty => {
+            assert.deepEqual(checkLevelSanity(generateLevel(seed, difficulty)), [], `种子 ${seed} 难度 ${difficulty}`);
+        });
+    });
+});
+
+test('生成器对相同种子和难度给出相同关卡', () => {
+    assert.deepEqual(generateLevel(42, 4), generateLevel(42, 4));
+    assert.notDeepEqual(generateLevel(42, 4), generateLevel(43, 4));
+});
+
+test('示例关卡文件通过体检', () => {
+    const level = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'levels', 'example.json'), 'utf8'));
+    assert.deepEqual(checkLevelSanity(level), []);
+});
+
+test('体检报告头顶没有遮挡的猪和格式错误', () => {
+    const issues = checkLevelSanity({ birds: 1, objects: [{ x: 0.3, type: 'pig', radius: 15 }] }, [{ width: 1280, height: 720 }]);
+    assert.deepEqual(issues, ['1280x720 objects[0](pig) 头顶没有遮挡']);
+    assert.deepEqual(checkLevelSanity([]), ['关卡必须是 JSON 对象']);
+});
@@ -0,0 +1,15 @@
+/**
+ * Angry Birds - 测试入口
+ *
+ * 只用 Node 自带的 node:test 和 node:assert，不需要安装依赖：
+ *   node tests/run.js
+ * 依次加载本目录下所有 *.test.js，有失败时以非零状态码退出
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.test.js'))
+    .sort()
+    .forEach(file => require(path.join(__dirname, file)));
@@ -0,0 +1,135 @@
+/**
+ * 存档：版本迁移、校验、JSON 导入和合并
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SAVE_VERSION, DEFAULT_SETTINGS, createProfileData, createSaveData, migrateSave, validateSave, parseSaveJSON, mergeSave } = require('../save.js');
+const { computeCalibration } = require('../calibration.js');
+
+test('migrateSave 把版本 1 的星数进度迁移成多档案存档', () => {
+    const save = migrateSave({ stars: { 'classic:1': 3, 'classic:2': 1 } });
+    assert.equal(save.version, SAVE_VERSION);
+    assert.equal(save.activeProfile, 'player-1');
+    const profile = save.profiles['player-1'];
+    assert.deepEqual(profile.progress, { stars: { 'classic:1': 3, 'classic:2': 1 }, scores: {} });
+    assert.deepEqual(profile.settings, DEFAULT_SETTINGS);
+    assert.equal(profile.calibration, null);
+    assert.deepEqual(validateSave(save), []);
+});
+
+test('migrateSave 给版本 2 的档案补上校准和缺少的设置', () => {
+    const save = migrateSave({
+        version: 2,
+        activeProfile: 'a',
+        profiles: { a: { name: 'A', progress: { stars: {}, scores: { 'classic:1': 900 } }, lastLevel: null, settings: { sound: false } } }
+    });
+    assert.equal(save.version, SAVE_VERSION);
+    assert.equal(save.profiles.a.calibration, null);
+    assert.deepEqual(save.profiles.a.settings, { ...DEFAULT_SETTINGS, sound: false });
+    assert.deepEqual(validateSave(save), []);
+});
+
+test('migrateSave 拒绝更新的版本和不合法的版本号', () => {
+    assert.throws(() => migrateSave({ version: SAVE_VERSION + 1, profiles: {} }), /请先更新游戏/);
+    assert.throws(() => migrateSave({ version: 0 }), /version 不合法/);
+});
+
+test('validateSave 列出不合法的进度、设置和校准', () => {
+    assert.deepEqual(validateSave(createSaveData()), []);
+    
+    const save = createSaveData();
+    const profile = save.profiles['player-1'];
+    profile.progress.stars['classic:1'] = 4;
+    profile.settings.hand = 'both';
+    profile.calibration = { openDistance: 0.2 };
+    save.activeProfile = 'nobody';
+    const errors = validateSave(save);
+    assert.ok(errors.includes('activeProfile 不存在: nobody'), errors.join('\n'));
+    assert.ok(errors.some(error => error.startsWith('profiles.player-1.progress.stars["classic:1"]')), errors.join('\n'));
+    assert.ok(errors.some(error => error.startsWith('profiles.player-1.settings.hand')), errors.join('\n'));
+    assert.ok(errors.some(error => error.startsWith('profiles.player-1.calibration')), errors.join('\n'));
+});
+
+test('validateSave 接受校准过的档案', () => {
+    const save = createSaveData();
+    save.profiles['player-1'].calibration = computeCalibration({
+        open: [0.3, 0.32, 0.31],
+        pinch: [0.03, 0.04, 0.035],
+        reach: [{ x: 0.2, y: 0.2 }, { x: 0.8, y: 0.7 }]
+    });
+    assert.deepEqual(validateSave(save), []);
+});
+
+test('parseSaveJSON 迁移并校验 JSON 存档', () => {
+    const save = parseSaveJSON(JSON.stringify({ stars: { 'classic:1': 2 } }));
+    assert.equal(save.profiles['player-1'].progress.stars['classic:1'], 2);
+    assert.throws(() => parseSaveJSON('{'), /JSON 解析失败/);
+    assert.throws(() => parseSaveJSON('[]'), /存档必须是 JSON 对象/);
+});
+
+test('mergeSave 合并同 id 档案的进度，不覆盖本机档案', () => {
+    const local = createSaveData();
+    local.profiles['player-1'].progress = { stars: { 'classic:1': 3, 'classic:2': 1 }, scores: { 'classic:1': 5000 } };
+    local.profiles['player-1'].settings.sound = false;
+    
+    const imported = createSaveData();
+    imported.profiles['player-1'] = createProfileData('另一台设备');
+    imported.profiles['player-1'].progress = { stars: { 'classic:1': 2, 'classic:2': 3 }, scores: { 'classic:1': 3000, 'classic:3': 800 } };
+    imported.profiles.guest = createProfileData('客人');
+    imported.activeProfile = 'guest';
+    
+    const merged = mergeSave(local, imported);
+    const profile = merged.profiles['player-1'];
+    assert.equal(profile.name, '玩家 1');
+    assert.equal(profile.settings.sound, false);
+    assert.deepEqual(profile.progress, {
+        stars: { 'classic:1': 3, 'classic:2': 3 },
+        scores: { 'classic:1': 5000, 'classic:3': 800 }
+    });
+    assert.equal(merged.profiles.guest.name, '客人');
+    assert.equal(merged.activeProfile, 'guest');
+    assert.deepEqual(validateSave(merged), []);
+});
+
+test('mergeSave 不修改已有存档，返回合并后的新存档', () => {
+    const local = createSaveData();
+    local.profiles['player-1'].progress.stars['classic:1'] = 1;
+    const before = JSON.parse(JSON.stringify(local));
+    
+    const imported = createSaveData();
+    imported.profiles['player-1'].progress.stars['classic:1'] = 3;
+    imported.profiles.guest = createProfileData('客人');
+    
+    const merged = mergeSave(local, imported);
+    assert.notEqual(merged, local);
+    assert.deepEqual(local, before);
+    assert.equal(merged.profiles['player-1'].progress.stars['classic:1'], 3);
+});
+
+test('mergeSave 跳过 __proto__ 等保留名的档案和关卡记录', () => {
+    const local = createSaveData();
+    // JSON.parse 会把 __proto__ 当成普通的键，和导入的存档文件一样
+    const imported = JSON.parse(JSON.stringify(createSaveData()).replace('"profiles":{', '"profiles":{"__proto__":' +
+        JSON.stringify(createProfileData('坏档案')) + ','));
+    imported.profiles['player-1'].progress.stars = JSON.parse('{"__proto__": 3, "constructor": 2, "classic:1": 1}');
+    assert.ok(Object.prototype.hasOwnProperty.call(imported.profiles, '__proto__'));
+    
+    const merged = mergeSave(local, imported);
+    assert.equal(Object.getPrototypeOf(merged.profiles), Object.prototype);
+    assert.deepEqual(Object.keys(merged.profiles), ['player-1']);
+    assert.deepEqual(Object.keys(merged.profiles['player-1'].progress.stars), ['classic:1']);
+    assert.equal(Object.getPrototypeOf(merged.profiles['player-1'].progress.stars), Object.prototype);
+});
+
+test('mergeSave 导入档案的进度不是对象时报错，已有存档保持原样', () => {
+    const local = createSaveData();
+    const before = JSON.parse(JSON.stringify(local));
+    const imported = createSaveData();
+    imported.profiles.guest = createProfileData('客人');
+    imported.profiles['player-1'].progress = { stars: { 'classic:1': 3 }, scores: 'oops' };
+    imported.activeProfile = 'guest';
+    
+    assert.throws(() => mergeSave(local, imported), /progress\.scores 必须是对象/);
+    assert.deepEqual(local, before);
+});
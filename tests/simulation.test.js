@@ -0,0 +1,97 @@
+/**
+ * 模拟核心：GameWorld 的确定性、关卡校验和关卡材质
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameWorld, computeLaunchVelocity, validateLevel, getMaterial, BODY_MATERIALS } = require('../simulation.js');
+const { LEVEL_DEFINITIONS } = require('../levels.js');
+
+// 打到第 5 关结构上的一发，会引起一连串碰撞和倒塌
+const SHOT = { dx: 80, dy: 20 };
+
+function snapshot(world) {
+    const body = b => [b.x, b.y, b.angle || 0, b.health];
+    return {
+        score: world.score,
+        pigs: world.pigs.map(body),
+        blocks: world.blocks.map(body),
+        birdsLeft: world.birdsLeft,
+        outcome: world.getOutcome()
+    };
+}
+
+function playShot(world, level, steps) {
+    world.loadLevel(level);
+    const v = computeLaunchVelocity(SHOT.dx, SHOT.dy);
+    world.launchBird(v.x, v.y);
+    const events = [];
+    for (let i = 0; i < steps; i++) {
+        world.step();
+        events.push(...world.drainEvents());
+    }
+    return { ...snapshot(world), events };
+}
+
+test('GameWorld 相同关卡和相同发射得到完全相同的结果', () => {
+    const level = LEVEL_DEFINITIONS[4];
+    const first = playShot(new GameWorld(1280, 720), level, 600);
+    const second = playShot(new GameWorld(1280, 720), level, 600);
+    assert.ok(first.events.length > 10, '这一发应该打到结构');
+    assert.deepEqual(second, first);
+});
+
+test('GameWorld 重新加载关卡后不受上一局影响', () => {
+    const level = LEVEL_DEFINITIONS[4];
+    const world = new GameWorld(1280, 720);
+    playShot(world, LEVEL_DEFINITIONS[2], 300);
+    assert.deepEqual(playShot(world, level, 600), playShot(new GameWorld(1280, 720), level, 600));
+});
+
+test('GameWorld 不发射时结构保持静止', () => {
+    const world = new GameWorld(1280, 720);
+    world.loadLevel(LEVEL_DEFINITIONS[4]);
+    const before = snapshot(world);
+    for (let i = 0; i < 300; i++) world.step();
+    assert.deepEqual(snapshot(world), before);
+});
+
+test('validateLevel 接受所有内置关卡', () => {
+    LEVEL_DEFINITIONS.forEach((level, i) => assert.deepEqual(validateLevel(level), [], `第 ${i + 1} 关`));
+});
+
+test('validateLevel 一次列出全部格式问题', () => {
+    assert.deepEqual(validateLevel([]), ['关卡必须是 JSON 对象']);
+    const errors = validateLevel({
+        birds: ['red', 'pink'],
+        objects: [{ x: 2, type: 'pillar', material: 'gold' }]
+    });
+    assert.ok(errors.some(error => error.includes('birds[1]')), errors.join('\n'));
+    assert.ok(errors.some(error => error.includes('objects[0].material')), errors.join('\n'));
+    assert.ok(errors.some(error => error.includes('至少要有一只猪')), errors.join('\n'));
+});
+
+test('关卡材质不能覆盖内置材质', () => {
+    const errors = validateLevel({
+        materials: { wood: { health: 1 } },
+        objects: [{ x: 0.3, type: 'pig', radius: 15 }]
+    });
+    assert.deepEqual(errors, ['materials.wood 是内置材质，不能在关卡中重新定义']);
+});
+
+test('关卡材质只在本关有效', () => {
+    const custom = {
+        birds: 1,
+        materials: { goo: { health: 7 } },
+        objects: [{ x: 0.3, type: 'block', material: 'goo', width: 40, height: 30 }, { x: 0.3, type: 'pig', radius: 15 }]
+    };
+    const world = new GameWorld(1280, 720);
+    world.loadLevel(custom);
+    assert.equal(getMaterial('goo').health, 7);
+    assert.equal(BODY_MATERIALS.goo, undefined);
+    
+    world.loadLevel(LEVEL_DEFINITIONS[0]);
+    assert.throws(() => getMaterial('goo'), /未知材质/);
+    const { materials, ...withoutMaterials } = custom;
+    assert.ok(validateLevel(withoutMaterials).some(error => error.includes('objects[0].material')));
+});
@@ -0,0 +1,68 @@
+/**
+ * 手部关键点平滑：One-Euro 滤波
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SMOOTHING_PRESETS, OneEuroFilter, LandmarkSmoother, createHandSmoother } = require('../smoothing.js');
+
+// 60fps 的帧时间(秒)
+const FRAME = 1 / 60;
+
+// 确定性的抖动：在 center 附近以 amplitude 为幅度来回跳
+function jitter(center, amplitude, i) {
+    return center + (i % 2 === 0 ? amplitude : -amplitude) * ((i * 7) % 5) / 4;
+}
+
+test('OneEuroFilter 第一帧原样输出', () => {
+    const filter = new OneEuroFilter(1, 0);
+    assert.equal(filter.filter(0.42, 0), 0.42);
+});
+
+test('OneEuroFilter 静止时压住抖动', () => {
+    const { minCutoff, beta } = SMOOTHING_PRESETS.medium;
+    const filter = new OneEuroFilter(minCutoff, beta);
+    let maxDeviation = 0;
+    for (let i = 0; i < 120; i++) {
+        const value = filter.filter(jitter(0.5, 0.01, i), i * FRAME);
+        if (i >= 30) maxDeviation = Math.max(maxDeviation, Math.abs(value - 0.5));
+    }
+    assert.ok(maxDeviation < 0.005, `抖动 ±0.01 滤波后偏差 ${maxDeviation}`);
+});
+
+test('OneEuroFilter 快速移动时跟得上，beta 越大延迟越小', () => {
+    const lag = beta => {
+        const filter = new OneEuroFilter(1, beta);
+        let value = 0;
+        // 每秒移动 1.2 个画面宽度
+        for (let i = 0; i <= 30; i++) value = filter.filter(i * FRAME * 1.2, i * FRAME);
+        return 30 * FRAME * 1.2 - value;
+    };
+    assert.ok(lag(3) < lag(0), `beta=3 延迟 ${lag(3)}，beta=0 延迟 ${lag(0)}`);
+    assert.ok(lag(3) < 0.05, `beta=3 延迟 ${lag(3)}`);
+});
+
+test('OneEuroFilter 时间不前进时重新开始，reset 后从新值开始', () => {
+    const filter = new OneEuroFilter(1, 0);
+    filter.filter(0.1, 1);
+    assert.equal(filter.filter(0.9, 1), 0.9);
+    filter.reset();
+    assert.equal(filter.filter(0.3, 2), 0.3);
+});
+
+test('LandmarkSmoother 逐点滤波且不修改输入，off 时原样返回', () => {
+    const smoother = createHandSmoother('strong');
+    const hand = [{ x: 0.5, y: 0.5, z: 0 }];
+    smoother.smooth(hand, 0);
+    const moved = [{ x: 0.6, y: 0.4, z: 0 }];
+    const result = smoother.smooth(moved, FRAME);
+    assert.ok(result[0].x > 0.5 && result[0].x < 0.6);
+    assert.ok(result[0].y < 0.5 && result[0].y > 0.4);
+    assert.deepEqual(moved, [{ x: 0.6, y: 0.4, z: 0 }]);
+    
+    smoother.reset();
+    assert.deepEqual(smoother.smooth(moved, 2 * FRAME), [{ x: 0.6, y: 0.4, z: 0 }]);
+    
+    const off = new LandmarkSmoother(SMOOTHING_PRESETS.off);
+    assert.equal(off.smooth(moved, 0), moved);
+});
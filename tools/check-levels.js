@@ -0,0 +1,39 @@
+/**
+ * Angry Birds - 关卡体检脚本
+ *
+ * 在 SANITY_CANVAS_SIZES 的各个画布尺寸下对全部内置关卡、一段生成关卡和 levels/ 下的 JSON 关卡
+ * 做 checkLevelSanity，只依赖 Node 自带模块：
+ *   node tools/check-levels.js [生成关卡数量]
+ * 生成关卡从内置关卡之后开始按编号检查，数量默认 50。有问题时逐条列出并以状态码 1 退出
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { checkLevelSanity, parseLevelFile } = require('../simulation.js');
+const { LEVEL_DEFINITIONS, getLevelDefinition } = require('../levels.js');
+
+const generatedCount = Number(process.argv[2]) || 50;
+const levelsDir = path.join(__dirname, '..', 'levels');
+
+// [{ label, level }]
+const targets = [];
+for (let levelNum = 1; levelNum <= LEVEL_DEFINITIONS.length + generatedCount; levelNum++) {
+    targets.push({ label: `第 ${levelNum} 关`, level: getLevelDefinition(levelNum) });
+}
+fs.readdirSync(levelsDir).filter(file => file.endsWith('.json')).forEach(file => {
+    const { pack, level } = parseLevelFile(fs.readFileSync(path.join(levelsDir, file), 'utf8'));
+    if (level) targets.push({ label: `levels/${file}`, level });
+    else pack.levels.forEach((packLevel, i) => targets.push({ label: `levels/${file} levels[${i}]`, level: packLevel }));
+});
+
+let failed = 0;
+targets.forEach(({ label, level }) => {
+    const issues = checkLevelSanity(level);
+    if (issues.length === 0) return;
+    failed++;
+    console.log(`${label}:`);
+    issues.forEach(issue => console.log(`  ${issue}`));
+});
+
+console.log(`检查了 ${targets.length} 关，${failed} 关有问题`);
+process.exitCode = failed > 0 ? 1 : 0;
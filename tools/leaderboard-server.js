@@ -0,0 +1,111 @@
+/**
+ * Angry Birds - 排行榜模拟服务器
+ *
+ * 供教室或展台部署多台设备共用一张排行榜，只依赖 Node 自带模块：
+ *   node tools/leaderboard-server.js [端口] [数据文件]
+ * 然后用 index.html?leaderboard=http://localhost:8787 打开游戏。
+ * 不指定数据文件时记录只保存在内存中，服务器重启后清空
+ *
+ * 接口(与 leaderboard.js 的 HttpLeaderboardProvider 对应)：
+ *   GET  /leaderboard/{关卡键}?limit=N  返回前 N 名记录数组
+ *   POST /leaderboard/{关卡键}          请求体为一条记录(JSON)，格式不合法时返回 400
+ * 关卡键编码不合法或是 __proto__ 等保留名时两个接口都返回 400
+ */
+
+const http = require('http');
+const fs = require('fs');
+const { compareLeaderboardEntries, validateLeaderboardEntry } = require('../leaderboard.js');
+
+const port = Number(process.argv[2]) || 8787;
+const dataFile = process.argv[3] || null;
+// 每关最多保留的记录数
+const BOARD_LIMIT = 100;
+// 请求体上限(字节)
+const MAX_BODY_SIZE = 10 * 1024;
+// 不能用作关卡键的名字，避免写进数据文件后再读回时污染对象原型
+const RESERVED_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+// 关卡键 -> 记录数组；关卡键来自请求路径，用 Map 而不是普通对象保存
+const boards = new Map();
+if (dataFile && fs.existsSync(dataFile)) {
+    const saved = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    Object.keys(saved).forEach(key => {
+        if (!RESERVED_KEYS.has(key) && Array.isArray(saved[key])) boards.set(key, saved[key]);
+    });
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_SIZE) {
+                const error = new Error('请求体过大');
+                error.status = 413;
+                reject(error);
+                req.destroy();
+            }
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    // 只用到路径和查询参数，用固定的基址解析，不信任请求里的 Host
+    let url;
+    try {
+        url = new URL(req.url, 'http://localhost');
+    } catch (error) {
+        return send(res, 400, { error: '请求地址不合法' });
+    }
+    const match = url.pathname.match(/^\/leaderboard\/([^/]+)$/);
+    if (req.method === 'OPTIONS') return send(res, 204);
+    if (!match) return send(res, 404, { error: '未知路径' });
+    let levelKey;
+    try {
+        levelKey = decodeURIComponent(match[1]);
+    } catch (error) {
+        return send(res, 400, { error: '关卡键编码不合法' });
+    }
+    if (RESERVED_KEYS.has(levelKey)) return send(res, 400, { error: `不能使用保留的关卡键: ${levelKey}` });
+    
+    if (req.method === 'GET') {
+        const limit = Math.max(1, Math.min(BOARD_LIMIT, Number(url.searchParams.get('limit')) || 10));
+        return send(res, 200, (boards.get(levelKey) || []).slice(0, limit));
+    }
+    if (req.method !== 'POST') return send(res, 405, { error: '只支持 GET 和 POST' });
+    
+    readBody(req)
+        .then(body => {
+            let entry;
+            try {
+                entry = JSON.parse(body);
+            } catch (error) {
+                return send(res, 400, { error: `JSON 解析失败: ${error.message}` });
+            }
+            const errors = validateLeaderboardEntry(entry);
+            if (errors.length > 0) return send(res, 400, { error: errors.join('\n') });
+            const { name, score, birdsUsed, seconds, date } = entry;
+            const board = (boards.get(levelKey) || []).concat([{ name, score, birdsUsed, seconds, date }]);
+            boards.set(levelKey, board.sort(compareLeaderboardEntries).slice(0, BOARD_LIMIT));
+            if (dataFile) fs.writeFileSync(dataFile, JSON.stringify(Object.fromEntries(boards), null, 2));
+            send(res, 204);
+        })
+        // 请求体过大时为 413，其余(读取请求失败、写数据文件失败)为 500
+        .catch(error => send(res, error.status || 500, { error: error.message }));
+});
+
+server.listen(port, () => {
+    console.log(`排行榜服务器: http://localhost:${port}/leaderboard/`);
+});
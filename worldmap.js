@@ -0,0 +1,215 @@
+/**
+ * Angry Birds - 世界地图(选关)
+ *
+ * 按关卡包分组列出关卡和已获得的星数，总星数解锁关卡包，通过上一关解锁下一关；
+ * 内置关卡包之后列出导入的关卡包。进度来自当前玩家档案，见 save.js
+ * 依赖 levels.js 的关卡包函数和 game.js 的 gameState / restartGame
+ */
+
+// 选关界面状态
+const levelSelectState = {
+    isOpen: false,
+    // 打开前是否在游戏中、是否可以发射、是否显示着结果弹窗，关闭后恢复
+    resumePlaying: false,
+    resumeLaunch: false,
+    resumeModal: false,
+    // 手势挥手选中的关卡 { pack, index }，为空时选中推荐关卡
+    focus: null
+};
+
+let levelSelectElements = null;
+
+/**
+ * 初始化选关界面：绑定打开/关闭按钮
+ */
+function initLevelSelect() {
+    levelSelectElements = {
+        overlay: document.getElementById('level-select'),
+        packs: document.getElementById('level-packs'),
+        totalStars: document.getElementById('level-select-stars'),
+        openBtn: document.getElementById('levels-btn'),
+        modalMapBtn: document.getElementById('modal-map-btn'),
+        closeBtn: document.getElementById('level-select-close')
+    };
+    
+    levelSelectElements.openBtn.addEventListener('click', showLevelSelect);
+    levelSelectElements.modalMapBtn.addEventListener('click', showLevelSelect);
+    levelSelectElements.closeBtn.addEventListener('click', hideLevelSelect);
+}
+
+/**
+ * 打开选关界面，暂停当前关卡
+ */
+function showLevelSelect() {
+    if (gameState.isEditing) return;
+    if (!levelSelectState.isOpen) {
+        levelSelectState.resumePlaying = gameState.isPlaying;
+        levelSelectState.resumeLaunch = gameState.canLaunch;
+        levelSelectState.resumeModal = !elements.gameModal.classList.contains('hidden');
+        levelSelectState.isOpen = true;
+        levelSelectState.focus = null;
+    }
+    gameState.isPlaying = false;
+    gameState.canLaunch = false;
+    gameState.isPulling = false;
+    gameState.trajectory = [];
+    elements.gameModal.classList.add('hidden');
+    levelSelectElements.overlay.classList.remove('hidden');
+    renderLevelSelect();
+}
+
+/**
+ * 关闭选关界面回到当前关卡；打开前显示着结果弹窗时重新显示，还没开始关卡时不显示
+ */
+function hideLevelSelect() {
+    levelSelectState.isOpen = false;
+    levelSelectElements.overlay.classList.add('hidden');
+    gameState.isPlaying = levelSelectState.resumePlaying;
+    gameState.canLaunch = levelSelectState.resumeLaunch;
+    if (levelSelectState.resumeModal) elements.gameModal.classList.remove('hidden');
+}
+
+/**
+ * 按关卡包生成关卡按钮：锁定的关卡包显示所需星数，锁定的关卡不可点击
+ */
+function renderLevelSelect() {
+    const progress = gameState.progress;
+    const suggested = getSuggestedLevel();
+    const focused = getFocusedLevel();
+    levelSelectElements.totalStars.textContent = getTotalStars(progress);
+    levelSelectElements.packs.innerHTML = '';
+    
+    gameState.packs.forEach(pack => {
+        const unlocked = isPackUnlocked(pack, progress);
+        const size = getPackSize(pack, progress);
+        const section = document.createElement('div');
+        section.className = 'level-pack' + (unlocked ? '' : ' locked');
+        
+        const header = document.createElement('div');
+        header.className = 'level-pack-header';
+        header.textContent = unlocked
+            ? `${pack.name}  ★ ${getPackStars(progress, pack)}/${pack.endless ? '∞' : size * 3}`
+            : `🔒 ${pack.name}  需要 ★ ${pack.unlockStars}`;
+        section.appendChild(header);
+        
+        const grid = document.createElement('div');
+        grid.className = 'level-grid';
+        for (let index = 1; index <= size; index++) {
+            const stars = getLevelStars(progress, pack, index);
+            const best = getLevelBestScore(progress, pack, index);
+            const tile = document.createElement('button');
+            tile.className = 'level-tile';
+            if (pack === suggested.pack && index === suggested.index) tile.classList.add('suggested');
+            if (pack === focused.pack && index === focused.index) tile.classList.add('focused');
+            tile.disabled = !isLevelUnlocked(pack, index, progress);
+            tile.innerHTML = `<span class="level-tile-number">${index}</span>` +
+                `<span class="level-tile-stars">${'★'.repeat(stars)}${'☆'.repeat(3 - stars)}</span>` +
+                `<span class="level-tile-score">${best > 0 ? best : '-'}</span>`;
+            tile.title = ((getPackLevel(pack, index) || {}).name || `${pack.name} ${index}`) +
+                (best > 0 ? `  最高分 ${best}` : '');
+            tile.addEventListener('click', () => startPackLevel(pack, index));
+            grid.appendChild(tile);
+        }
+        section.appendChild(grid);
+        levelSelectElements.packs.appendChild(section);
+    });
+}
+
+/**
+ * 推荐的关卡：当前关卡包中第一个已解锁但还没通过的关卡，都通过了就是当前关卡
+ * @returns {Object} { pack, index }
+ */
+function getSuggestedLevel() {
+    const pack = gameState.pack;
+    const size = getPackSize(pack, gameState.progress);
+    for (let index = 1; index <= size; index++) {
+        if (!isLevelUnlocked(pack, index, gameState.progress)) break;
+        if (getLevelStars(gameState.progress, pack, index) === 0) return { pack, index };
+    }
+    return { pack, index: gameState.level };
+}
+
+/**
+ * 当前选中的关卡，Space 键和竖大拇指手势开始这一关
+ * @returns {Object} { pack, index }
+ */
+function getFocusedLevel() {
+    return levelSelectState.focus || getSuggestedLevel();
+}
+
+/**
+ * 在所有已解锁的关卡中前后移动选中的关卡，到头后从另一端继续
+ * @param {number} step - 1 为下一关，-1 为上一关
+ */
+function moveLevelSelectFocus(step) {
+    const levels = [];
+    gameState.packs.forEach(pack => {
+        if (!isPackUnlocked(pack, gameState.progress)) return;
+        const size = getPackSize(pack, gameState.progress);
+        for (let index = 1; index <= size; index++) {
+            if (isLevelUnlocked(pack, index, gameState.progress)) levels.push({ pack, index });
+        }
+    });
+    if (levels.length === 0) return;
+    const focused = getFocusedLevel();
+    const current = levels.findIndex(level => level.pack === focused.pack && level.index === focused.index);
+    levelSelectState.focus = levels[(current + step + levels.length) % levels.length];
+    renderLevelSelect();
+}
+
+function startFocusedLevel() {
+    const focused = getFocusedLevel();
+    startPackLevel(focused.pack, focused.index);
+}
+
+/**
+ * 开始关卡包中的一关
+ * @param {Object} pack - 关卡包
+ * @param {number} index - 包内编号，从 1 开始
+ */
+function startPackLevel(pack, index) {
+    gameState.pack = pack;
+    gameState.level = index;
+    gameState.customLevel = null;
+    levelSelectState.isOpen = false;
+    levelSelectElements.overlay.classList.add('hidden');
+    restartGame();
+}
+
+/**
+ * 加入导入的关卡包，id 相同的导入关卡包会被替换；
+ * id 与内置关卡包相同时加上 import: 前缀，不会顶替内置关卡包或共用它的进度
+ * @param {Object} pack - 已校验的关卡包数据
+ * @param {string} source - 来源(文件名或URL)，没有 id 和名称时用作标识
+ * @returns {Object} 加入列表的关卡包
+ */
+function addLevelPack(pack, source) {
+    const isBuiltInId = BUILT_IN_PACKS.some(builtIn => builtIn.id === pack.id);
+    const imported = {
+        id: pack.id && !isBuiltInId ? pack.id : `import:${pack.id || pack.name || source}`,
+        name: pack.name || source,
+        unlockStars: pack.unlockStars || 0,
+        levels: pack.levels
+    };
+    const existing = gameState.packs.findIndex(p => p.id === imported.id);
+    if (existing !== -1) gameState.packs[existing] = imported;
+    else gameState.packs.push(imported);
+    // 正在玩被替换的关卡包时换成新的，关卡编号和进度按 id 计算不受影响
+    if (gameState.pack && gameState.pack.id === imported.id) gameState.pack = imported;
+    return imported;
+}
+
+/**
+ * 当前关卡是否是关卡包的最后一关(无尽关卡包没有最后一关)
+ */
+function isLastLevelInPack() {
+    return !gameState.pack.endless && gameState.level >= gameState.pack.levels.length;
+}
+
+/**
+ * HUD 中显示的关卡编号：关卡包序号-包内编号
+ */
+function getLevelLabel() {
+    if (gameState.customLevel) return 'CUSTOM';
+    return `${gameState.packs.indexOf(gameState.pack) + 1}-${gameState.level}`;
+}